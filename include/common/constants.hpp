@@ -1,5 +1,7 @@
 #pragma once
 
+// generated by scripts/compile.js from the local chain profile, do not edit
+
 #include <eosio/eosio.hpp>
 
 namespace common
@@ -63,4 +65,4 @@ namespace common
       constexpr int64_t undefined_duration_days = -1;
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,169 @@
+// mirrors eosio::symbol and eosio::asset from the CDT, amounts are kept as
+// BigInt so vote tallies and stake comparisons stay exact
+
+const MAX_AMOUNT = (1n << 62n) - 1n
+const MAX_PRECISION = 18
+
+// percentages in the contracts are expressed in basis points, 5500 == 55%
+const PERCENTAGE_BASE = 10000n
+
+const codeRegex = /^[A-Z]{1,7}$/
+const amountRegex = /^(-)?(\d+)(?:\.(\d+))?$/
+
+class AssetSymbol {
+
+  constructor (code, precision) {
+    if (!codeRegex.test(code)) {
+      throw new Error(`Invalid symbol code ${code}, expected 1 to 7 uppercase letters`)
+    }
+    if (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION) {
+      throw new Error(`Invalid symbol precision ${precision}, expected an integer between 0 and ${MAX_PRECISION}`)
+    }
+    this.code = code
+    this.precision = precision
+  }
+
+  // as used by the ABI and by cleos, e.g. "4,EOS"
+  static fromString (string) {
+    const [precision, code] = `${string}`.split(',')
+    if (code === undefined || !/^\d+$/.test(precision)) {
+      throw new Error(`Invalid symbol ${string}, expected <precision>,<code>`)
+    }
+    return new AssetSymbol(code, parseInt(precision))
+  }
+
+  equals (other) {
+    return this.code === other.code && this.precision === other.precision
+  }
+
+  toString () {
+    return `${this.precision},${this.code}`
+  }
+
+  toJSON () {
+    return this.toString()
+  }
+
+}
+
+class Asset {
+
+  constructor (amount, code, precision) {
+    this.symbol = new AssetSymbol(code, precision)
+    this.amount = BigInt(amount)
+
+    if (this.amount > MAX_AMOUNT || this.amount < -MAX_AMOUNT) {
+      throw new Error(`Asset amount ${this.amount} is out of range`)
+    }
+  }
+
+  get code () {
+    return this.symbol.code
+  }
+
+  get precision () {
+    return this.symbol.precision
+  }
+
+  static fromString (string) {
+    const [amountString, code, ...rest] = `${string}`.trim().split(/\s+/)
+    const match = amountRegex.exec(amountString)
+
+    if (!match || code === undefined || rest.length > 0) {
+      throw new Error(`Invalid asset ${string}, expected "<amount> <code>"`)
+    }
+
+    const [_, sign, integer, decimals = ''] = match
+    const amount = BigInt(`${sign || ''}${integer}${decimals}`)
+
+    return new Asset(amount, code, decimals.length)
+  }
+
+  static fromJSON (value) {
+    return Asset.from(value)
+  }
+
+  static from (value) {
+    if (value instanceof Asset) {
+      return new Asset(value.amount, value.code, value.precision)
+    }
+    return Asset.fromString(value)
+  }
+
+  static zero (symbol) {
+    const { code, precision } = symbol instanceof AssetSymbol ? symbol : AssetSymbol.fromString(symbol)
+    return new Asset(0n, code, precision)
+  }
+
+  _checkSymbol (other, operation) {
+    if (!this.symbol.equals(other.symbol)) {
+      throw new Error(`Attempt to ${operation} assets with different symbols: ${this.symbol} and ${other.symbol}`)
+    }
+  }
+
+  add (other) {
+    other = Asset.from(other)
+    this._checkSymbol(other, 'add')
+    return new Asset(this.amount + other.amount, this.code, this.precision)
+  }
+
+  subtract (other) {
+    other = Asset.from(other)
+    this._checkSymbol(other, 'subtract')
+    return new Asset(this.amount - other.amount, this.code, this.precision)
+  }
+
+  // integer division truncates like int64_t math in the contracts
+  multiplyByPercentage (percentage) {
+    return new Asset((this.amount * BigInt(percentage)) / PERCENTAGE_BASE, this.code, this.precision)
+  }
+
+  compare (other) {
+    other = Asset.from(other)
+    this._checkSymbol(other, 'compare')
+    if (this.amount === other.amount) return 0
+    return this.amount < other.amount ? -1 : 1
+  }
+
+  equals (other) {
+    return this.compare(other) === 0
+  }
+
+  lt (other) {
+    return this.compare(other) < 0
+  }
+
+  lte (other) {
+    return this.compare(other) <= 0
+  }
+
+  gt (other) {
+    return this.compare(other) > 0
+  }
+
+  gte (other) {
+    return this.compare(other) >= 0
+  }
+
+  isZero () {
+    return this.amount === 0n
+  }
+
+  toString () {
+    const negative = this.amount < 0n
+    const digits = (negative ? -this.amount : this.amount).toString().padStart(this.precision + 1, '0')
+
+    const integer = digits.slice(0, digits.length - this.precision)
+    const decimals = digits.slice(digits.length - this.precision)
+
+    const amount = this.precision > 0 ? `${integer}.${decimals}` : integer
+    return `${negative ? '-' : ''}${amount} ${this.code}`
+  }
+
+  toJSON () {
+    return this.toString()
+  }
+
+}
+
+module.exports = { Asset, AssetSymbol, PERCENTAGE_BASE }
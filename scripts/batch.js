@@ -0,0 +1,59 @@
+const eos = require('./eos')
+const { getNonce } = require('./eosio-util')
+
+// collects actions built with contracts.<name>.<action>.build(...) so
+// they can be sent as a single atomic transaction
+class TransactionBatch {
+
+  constructor () {
+    this.actions = []
+  }
+
+  add (...actions) {
+    for (const action of actions.flat()) {
+      this.actions.push(action)
+    }
+    return this
+  }
+
+  get length () {
+    return this.actions.length
+  }
+
+  getTransaction () {
+    if (this.actions.length === 0) {
+      throw new Error('Can not build a transaction from an empty batch')
+    }
+    return {
+      actions: [
+        ...this.actions,
+        ...getNonce()
+      ]
+    }
+  }
+
+  async send (options = {}) {
+    return eos.transact(this.getTransaction(), options)
+  }
+
+  async serialize (options = {}) {
+    const { serializedTransaction, serializedContextFreeData } = await eos.transact(this.getTransaction(), {
+      ...options,
+      broadcast: false,
+      sign: false
+    })
+
+    const transaction = await eos.api.deserializeTransactionWithActions(serializedTransaction)
+
+    return {
+      transaction,
+      serializedTransaction: Buffer.from(serializedTransaction).toString('hex'),
+      serializedContextFreeData: serializedContextFreeData
+        ? Buffer.from(serializedContextFreeData).toString('hex')
+        : null
+    }
+  }
+
+}
+
+module.exports = { TransactionBatch }
@@ -0,0 +1,310 @@
+const { contracts, publicKeys, owner, chain, isLocalNode } = require('./config')
+const { compileContract, compileContracts, updateConstants } = require('./compile')
+const { updatePermissions, getPermissionActions } = require('./permissions')
+const { setPhases, getPhasesChanges, getConfigDiff, printConfigDiff, syncConfig, writeConfigExport } = require('./contract-settings')
+const { init: runInit, parseInitArgs } = require('./init')
+const { plan, getPlan } = require('./plan')
+const { parseMsigArgs, proposeMsig } = require('./msig')
+const { createSignatureProvider, addKeyToKeystore, readKeystore, signRequest, pushSignedRequest } = require('./signers')
+const { rpc } = require('./eos')
+const { auditPermissions } = require('./permissions-audit')
+const { getLocalNode } = require('./local-node')
+const { EnvironmentUtil } = require('./sdk')
+const prompt = require('prompt-sync')()
+
+
+async function manageDeployment(contract) {
+  console.log('deploy contract for:', contract.nameOnChain)
+  await EnvironmentUtil.deployContract(contract, {
+    publicKey: publicKeys.active,
+    stakes: contract.stakes,
+    creator: owner
+  })
+  console.log('done\n')
+}
+
+async function init(msig, options) {
+
+  if (msig) {
+    if (options.resume || options.only) {
+      throw new Error('--resume and --only can not be used with --msig, the proposal always holds the whole plan')
+    }
+    await compile()
+    return proposeMsig(await getPlan(), msig)
+  }
+
+  console.log(`INIT ${chain}\n`)
+  await runInit(options)
+  console.log('init finished\n\n')
+
+}
+
+async function setParamsValue(msig) {
+  if (msig) {
+    const changes = await getPhasesChanges()
+    return proposeMsig(changes.map(({ description, action }) => ({ description, actions: [action] })), msig)
+  }
+
+  console.log('SETTING CONTRACTS PARAMETERS\n')
+  // console.log('setting config')
+  // await setConfig()
+
+  console.log('setting phases')
+  await setPhases()
+
+  console.log('setting parameters finished\n\n')
+}
+
+async function run(contractName, msig) {
+
+  let contract = contracts.filter(c => c.name == contractName)
+  if (contract.length > 0) {
+    contract = contract[0]
+  } else {
+    console.log('contract not found')
+    return
+  }
+
+  console.log(`Rendering constants for ${chain}`)
+  await updateConstants()
+
+  await compileContract({
+    contract: contract.name,
+    path: `./src/${contract.name}.cpp`
+  })
+
+  if (msig) {
+    return proposeMsig(await getPlan(contract.name), msig)
+  }
+
+  await manageDeployment(contract)
+
+}
+
+async function compile() {
+  await compileContracts(contracts)
+}
+
+
+async function compile_contract(contractName) {
+
+  let contract = contracts.filter(c => c.name == contractName)
+  if (contract.length > 0) {
+    contract = contract[0]
+  } else {
+    console.log('contract not found')
+    return
+  }
+
+  await compileContract({
+    contract: contract.name,
+    path: `./src/${contract.name}.cpp`
+  })
+
+  console.log('compilation finished\n\n')
+
+}
+
+async function config(action, msig, dir) {
+  switch (action) {
+
+    case 'diff':
+      console.log(`CONFIG OF ${chain}\n`)
+      printConfigDiff(await getConfigDiff())
+      break;
+
+    case 'sync':
+      if (msig) {
+        const { changes } = await getConfigDiff()
+        return proposeMsig(changes.map(({ description, action }) => ({ description, actions: [action] })), msig)
+      }
+      await syncConfig()
+      break;
+
+    case 'export': {
+      const { params, phases } = await writeConfigExport(dir)
+      console.log(`exported the config of ${chain} to ${params} and ${phases}`)
+      break;
+    }
+
+    default:
+      console.log('Usage: config [diff|sync|export [dir]]')
+  }
+}
+
+async function nodeos(action, name) {
+  if (!isLocalNode()) {
+    throw new Error(`nodeos only manages the node of the local profile, CHAIN_NAME is ${chain}`)
+  }
+  const node = getLocalNode()
+
+  switch (action) {
+
+    case 'start':
+    case 'reset': {
+      const { head_block_num } = await node[action]()
+      console.log(`nodeos is producing blocks at ${node.endpoint} (head ${head_block_num})`)
+      break;
+    }
+
+    case 'stop':
+      await node.stop()
+      break;
+
+    case 'status': {
+      const info = await node.getInfo()
+      console.log(info ? `running at ${node.endpoint}, head block ${info.head_block_num}` : 'not running')
+      const snapshots = node.listSnapshots()
+      console.log(`snapshots: ${snapshots.join(', ') || 'none'}`)
+      break;
+    }
+
+    case 'snapshot':
+    case 'restore':
+      if (!name) {
+        console.log(`Usage: nodeos ${action} <name>`)
+        return
+      }
+      await node[action](name)
+      break;
+
+    default:
+      console.log('Usage: nodeos [start|stop|reset|status|snapshot <name>|restore <name>]')
+  }
+}
+
+function keystore(action) {
+  const path = process.env.KEYSTORE_PATH
+
+  switch (action) {
+
+    case 'add': {
+      const privateKey = prompt.hide('private key: ')
+      const passphrase = prompt.hide('passphrase: ')
+      if (passphrase !== prompt.hide('repeat passphrase: ')) {
+        console.log('passphrases do not match')
+        process.exitCode = 1
+        return
+      }
+      console.log(`added ${addKeyToKeystore(privateKey, passphrase, path)}`)
+      break;
+    }
+
+    case 'list':
+      readKeystore(path).keys.forEach(({ publicKey }) => console.log(publicKey))
+      break;
+
+    default:
+      console.log('Usage: keystore [add|list]')
+  }
+}
+
+async function offline(action, path) {
+  switch (action) {
+
+    case 'sign': {
+      if ((process.env.SIGNER || 'env') === 'offline') {
+        throw new Error('offline sign needs a signer that holds keys, set SIGNER to env, keystore or keosd')
+      }
+      const provider = createSignatureProvider(process.env, {
+        getPassphrase: () => prompt.hide('keystore passphrase: ')
+      })
+      const signatures = await signRequest(path, provider)
+      console.log(`${path} now has ${signatures.length} signature(s)`)
+      break;
+    }
+
+    case 'push': {
+      const { transaction_id } = await pushSignedRequest(path, rpc)
+      console.log(`pushed ${transaction_id}`)
+      break;
+    }
+
+    default:
+      console.log('Usage: offline [sign|push] <file>')
+  }
+}
+
+async function main() {
+
+  const { args, msig } = parseMsigArgs(process.argv.slice(2))
+  const initOptions = args[0] === 'init' ? parseInitArgs(args.slice(1)) : null
+
+  if (args[0] === 'plan') {
+    return plan(args[1])
+  }
+
+  if (args[0] === 'permissions' && args[1] === 'audit') {
+    return auditPermissions()
+  }
+
+  if (args[0] === 'config' && args[1] !== 'sync') {
+    return config(args[1], null, args[2])
+  }
+
+  if (args[0] === 'nodeos') {
+    return nodeos(args[1], args[2])
+  }
+
+  if (args[0] === 'keystore') {
+    return keystore(args[1])
+  }
+
+  if (args[0] === 'offline' && args[1] === 'sign') {
+    return offline(args[1], args[2])
+  }
+
+  // proposals are only printed, nothing is sent
+  if (!isLocalNode() && !msig) {
+    const option = prompt(`You are about to run a command on ${chain}, are you sure? [y/n] `)
+    if (option.toLowerCase() !== 'y') { return }
+  }
+
+  switch (args[0]) {
+
+    case 'init':
+      await init(msig, initOptions)
+      break;
+
+    case 'compile':
+      if (args.length == 1) {
+        await compile()
+
+      } else {
+
+        await compile_contract(args[1])
+      }
+      break;
+
+    case 'run':
+      await run(args[1], msig)
+      break;
+
+    case 'offline':
+      await offline(args[1], args[2])
+      break;
+
+    case 'config':
+      await config(args[1], msig)
+      break;
+
+    case 'set':
+      if (args[1] == 'params') {
+        await setParamsValue(msig)
+
+      } else if (args[1] == 'permissions' && msig) {
+        await proposeMsig(await getPermissionActions(), msig)
+
+      } else if (args[1] == 'permissions') {
+        await updatePermissions()
+
+      }
+      break;
+
+    default:
+      console.log('Invalid input.')
+  }
+
+}
+
+module.exports = { main }
@@ -0,0 +1,157 @@
+const fs = require('fs')
+const { join, basename } = require('path')
+const Ajv = require('ajv')
+
+const profilesDir = join(__dirname, 'profiles')
+
+const ajv = new Ajv({ allErrors: true })
+const validateSchema = ajv.compile(require('./schemas/profile.schema.json'))
+
+const placeholderRegex = /^{([a-z]+)}(?=@|$)/
+
+// newaccount creates active under owner, other permissions go under active
+const defaultParent = name => {
+  if (name === 'owner') return ''
+  return name === 'active' ? 'owner' : 'active'
+}
+
+function listProfiles () {
+  return fs.readdirSync(profilesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => basename(file, '.json'))
+    .sort()
+}
+
+function readProfile (name) {
+  const path = join(profilesDir, `${name}.json`)
+  if (!fs.existsSync(path)) {
+    throw new Error(`Chain profile ${name} not found, available profiles: ${listProfiles().join(', ')}`)
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function validateProfile (profile, fileName = profile.name) {
+  if (!validateSchema(profile)) {
+    return validateSchema.errors.map(({ instancePath, message }) => `${instancePath || '/'} ${message}`)
+  }
+
+  const errors = []
+
+  if (profile.name !== fileName) {
+    errors.push(`/name must match the file name ${fileName}`)
+  }
+
+  const names = profile.contracts.map(c => c.name)
+  for (const name of new Set(names)) {
+    if (names.filter(n => n === name).length > 1) {
+      errors.push(`/contracts declares ${name} more than once`)
+    }
+  }
+
+  const token = profile.contracts.find(c => c.name === 'token')
+  if (token && token.account !== profile.token.account) {
+    errors.push(`/token/account must be ${token.account}, the account the token contract is deployed to`)
+  }
+
+  profile.contracts.forEach(({ name, stakes }, i) => {
+    if (!profile.local && !stakes && !profile.stakes) {
+      errors.push(`/contracts/${i} needs stakes to create the ${name} account on a remote chain`)
+    }
+  })
+
+  const checkPlaceholder = (value, path) => {
+    const match = placeholderRegex.exec(value)
+    if (match && !names.includes(match[1])) {
+      errors.push(`${path} references unknown contract ${match[1]}`)
+    }
+  }
+
+  const accounts = profile.permissions.map(p => p.account)
+  profile.permissions.forEach(({ account, permissions, links = [] }, i) => {
+    if (accounts.indexOf(account) !== i) {
+      errors.push(`/permissions/${i} declares the permissions of ${account} more than once`)
+    }
+    checkPlaceholder(account, `/permissions/${i}/account`)
+
+    for (const name of Object.keys(permissions)) {
+      const path = `/permissions/${i}/permissions/${name}`
+      const { parent = defaultParent(name), threshold = 1, keys = [], accounts = [], waits = [] } = permissions[name]
+
+      if (name === 'owner' && permissions[name].parent !== undefined) {
+        errors.push(`${path} owner can not have a parent`)
+      } else if (name !== 'owner' && !['owner', 'active'].includes(parent) && !permissions[parent]) {
+        errors.push(`${path} has an undeclared parent ${parent}`)
+      }
+
+      accounts.forEach(({ actor }, j) => checkPlaceholder(actor, `${path}/accounts/${j}/actor`))
+
+      const weights = [...keys, ...accounts, ...waits].reduce((sum, { weight = 1 }) => sum + weight, 0)
+      if (weights < threshold) {
+        errors.push(`${path} can never be satisfied, weights add up to ${weights} for a threshold of ${threshold}`)
+      }
+    }
+
+    links.forEach(({ code, action, permission }, j) => {
+      if (!permissions[permission]) {
+        errors.push(`/permissions/${i}/links/${j} links to undeclared permission ${permission}`)
+      }
+      if (code) {
+        checkPlaceholder(code, `/permissions/${i}/links/${j}/code`)
+      }
+      if (links.findIndex(l => (l.code || account) === (code || account) && l.action === action) !== j) {
+        errors.push(`/permissions/${i}/links/${j} links ${code || account}::${action} more than once`)
+      }
+    })
+  })
+
+  return errors
+}
+
+// replaces {contract} placeholders with the contract accounts and fills in
+// the authority defaults, every weight and threshold defaults to 1 and links
+// default to the code of the account itself
+function resolvePermissions (profile) {
+  const accounts = {}
+  for (const { name, account } of profile.contracts) {
+    accounts[name] = account
+  }
+
+  const resolve = value => value.replace(placeholderRegex, (_, name) => accounts[name])
+
+  return profile.permissions.map(({ account, permissions, links = [] }) => {
+    const resolved = {}
+    for (const name of Object.keys(permissions)) {
+      const { parent = defaultParent(name), threshold = 1, keys = [], accounts = [], waits = [] } = permissions[name]
+      resolved[name] = {
+        parent,
+        threshold,
+        keys: keys.map(({ key, weight = 1 }) => ({ key, weight })),
+        accounts: accounts.map(({ actor, weight = 1 }) => ({ actor: resolve(actor), weight })),
+        waits: waits.map(({ wait_sec, weight = 1 }) => ({ wait_sec, weight }))
+      }
+    }
+
+    return {
+      account: resolve(account),
+      permissions: resolved,
+      links: links.map(({ code = account, action, permission }) => ({ code: resolve(code), action, permission }))
+    }
+  })
+}
+
+function loadProfile (name) {
+  const profile = readProfile(name)
+  const errors = validateProfile(profile, name)
+  if (errors.length > 0) {
+    throw new Error(`Invalid chain profile ${name}:\n  ${errors.join('\n  ')}`)
+  }
+
+  return {
+    ...profile,
+    local: !!profile.local,
+    contracts: profile.contracts.map(c => ({ ...c, stakes: c.stakes || profile.stakes })),
+    permissions: resolvePermissions(profile)
+  }
+}
+
+module.exports = { listProfiles, readProfile, validateProfile, resolvePermissions, loadProfile }
@@ -1,178 +1,48 @@
-const { contracts, publicKeys, owner, chain, sleep, isLocalNode } = require('./config')
-const { compileContract, updateConstants } = require('./compile')
-const { createAccount, deployContract } = require('./deploy')
-const { accountExists, contractRunningSameCode } = require('./eosio-errors')
-const { updatePermissions } = require('./permissions')
-const { setConfig, setPhases } = require('./contract-settings')
-const prompt = require('prompt-sync')()
+require('dotenv').config()
 
+const { listProfiles, readProfile, validateProfile, loadProfile } = require('./chain-profiles')
+const { validateProfileConfig } = require('./contract-config')
 
-async function manageDeployment(contract) {
-  console.log('create account:', contract.nameOnChain)
-  try {
-    await createAccount({
-      account: contract.nameOnChain,
-      publicKey: publicKeys.active,
-      stakes: contract.stakes,
-      creator: owner
-    })
-  } catch (err) {
-    accountExists(err)
-  }
-  console.log('deploy contract for:', contract.nameOnChain)
-  try {
-    await deployContract(contract)
-  } catch (err) {
-    contractRunningSameCode(err)
-  }
-  console.log('done\n')
-}
-
-async function init() {
-
-  await compile()
-
-  // deploy contracts
-  console.log('DEPLOYING CONTRACTS\n')
-
-  for (const contract of contracts) {
-    await manageDeployment(contract)
-    await sleep(1000)
-  }
-
-  console.log('deployment finished\n\n')
-
-  console.log('UPDATE PERMISSIONS\n')
-  await updatePermissions()
-  console.log('update permissions finished\n\n')
-
-  console.log('SETTING CONTRACTS PARAMETERS\n')
-
-  console.log('setting config')
-  await setConfig()
-
-  console.log('setting phases')
-  await setPhases()
-
-  console.log('setting parameters finished\n\n')
-
-}
-
-async function setParamsValue() {
-  console.log('SETTING CONTRACTS PARAMETERS\n')
-  // console.log('setting config')
-  // await setConfig()
-
-  console.log('setting phases')
-  await setPhases()
-
-  console.log('setting parameters finished\n\n')
-}
-
-async function run(contractName) {
-
-  let contract = contracts.filter(c => c.name == contractName)
-  if (contract.length > 0) {
-    contract = contract[0]
-  } else {
-    console.log('contract not found')
-    return
-  }
-
-  console.log(`Setting ${process.env.ENV_NAME} constants`)
-  await updateConstants()
-
-  await compileContract({
-    contract: contract.name,
-    path: `./src/${contract.name}.cpp`
-  })
-
-  await manageDeployment(contract)
-
-}
+function profiles(action, name) {
+  switch (action) {
 
-async function compile() {
-
-  console.log(`Setting ${process.env.ENV_NAME} constants`)
-  await updateConstants()
-
-  // compile contracts
-  console.log('COMPILING CONTRACTS\n')
-
-  await Promise.all(contracts.map(contract => {
-    return compileContract({
-      contract: contract.name,
-      path: `./src/${contract.name}.cpp`
-    })
-  }))
-
-  console.log('compilation finished\n\n')
-
-}
-
-
-async function compile_contract(contractName) {
-
-  let contract = contracts.filter(c => c.name == contractName)
-  if (contract.length > 0) {
-    contract = contract[0]
-  } else {
-    console.log('contract not found')
-    return
-  }
-
-  await compileContract({
-    contract: contract.name,
-    path: `./src/${contract.name}.cpp`
-  })
-
-  console.log('compilation finished\n\n')
-
-}
-
-async function main() {
-
-  if (!isLocalNode()) {
-    const option = prompt(`You are about to run a command on ${chain}, are you sure? [y/n] `)
-    if (option.toLowerCase() !== 'y') { return }
-  }
-
-  const args = process.argv.slice(2)
-
-  switch (args[0]) {
-
-    case 'init':
-      await init()
-      break;
-
-    case 'compile':
-      if (args.length == 1) {
-        await compile()
-
-      } else {
-
-        await compile_contract(args[1])
+    case 'list':
+      for (const profileName of listProfiles()) {
+        console.log(`${profileName}${profileName === process.env.CHAIN_NAME ? ' (current)' : ''}`)
       }
       break;
 
-    case 'run':
-      await run(args[1])
+    case 'show':
+      console.log(JSON.stringify(loadProfile(name || process.env.CHAIN_NAME), null, 2))
       break;
 
-    case 'set':
-      if (args[1] == 'params') {
-        await setParamsValue()
-
-      } else if (args[1] == 'permissions') {
-        await updatePermissions()
-
+    case 'validate':
+      for (const profileName of (name ? [name] : listProfiles())) {
+        const profile = readProfile(profileName)
+        let errors = validateProfile(profile, profileName)
+        if (errors.length === 0) {
+          errors = validateProfileConfig(profile, profileName)
+        }
+        if (errors.length > 0) {
+          console.log(`${profileName}: invalid`)
+          errors.forEach(error => console.log(`  ${error}`))
+          process.exitCode = 1
+        } else {
+          console.log(`${profileName}: ok`)
+        }
       }
       break;
 
     default:
-      console.log('Invalid input.')
+      console.log('Usage: profiles [list|show|validate] [profile]')
   }
-
 }
 
-main()
\ No newline at end of file
+// ./config and ./eos load the CHAIN_NAME profile and the signer when they are
+// required and exit when either is broken, profiles runs without them so the
+// current profile can still be validated
+if (process.argv[2] === 'profiles') {
+  profiles(process.argv[3], process.argv[4])
+} else {
+  require('./chain-commands').main()
+}
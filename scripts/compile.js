@@ -4,6 +4,11 @@ const { exec } = require('child_process')
 const { promisify } = require('util')
 const fs = require('fs')
 const { join } = require('path')
+const { profile, chain } = require('./config')
+const { renderConstants } = require('./contract-constants')
+const { tables } = require('./queries')
+const { VariantTypes } = require('./variant')
+const { settingAction, phasesAction } = require('./contract-settings')
 
 const execCommand = promisify(exec)
 
@@ -13,12 +18,6 @@ async function deleteFile(filePath) {
   }
 }
 
-async function copyFile(source, target) {
-  if (fs.existsSync(source)) {
-    fs.copyFileSync(source, target)
-  }
-}
-
 async function compileContract({
   contract,
   path
@@ -42,21 +41,82 @@ async function compileContract({
 
   await execCommand(cmd)
 
+  checkAbi(contract)
+
 }
 
-async function updateConstants() {
-  if (process.env.ENV_NAME === 'development') {
-    await copyFile(join(__dirname, '../include/common/constants.prod.hpp'),
-      join(__dirname, '../include/common/constants.hpp'))
+// fields of the actions the scripts send, by contract. Settings are sent as
+// objects, create and vote with positional arguments in this order
+const sentActions = {
+  proposals: {
+    create: ['args'],
+    setpconfig: Object.keys(phasesAction('main', []).data),
+    setgparam: Object.keys(settingAction('main', 'minstake', '').data)
+  },
+  referendums: {
+    vote: ['referendum_id', 'voter', 'option']
   }
-  if (process.env.ENV_NAME === 'production') {
-    await copyFile(join(__dirname, '../include/common/constants.prod.hpp'),
-      join(__dirname, '../include/common/constants.hpp'))
+}
+
+// the scripts read tables, send actions and encode variant_value entries by
+// name, make sure the freshly generated ABI still declares them
+function checkAbi(contract, abi = JSON.parse(fs.readFileSync(join(__dirname, `../compiled/${contract}.abi`)))) {
+  const errors = []
+
+  for (const { contract: owner, table } of Object.values(tables)) {
+    if (owner === contract && !abi.tables.find(t => t.name === table)) {
+      errors.push(`table ${table} is not declared`)
+    }
   }
-  if (process.env.ENV_NAME === 'pre-production') {
-    await copyFile(join(__dirname, '../include/common/constants.preprod.hpp'),
-      join(__dirname, '../include/common/constants.hpp'))
+
+  for (const [name, fields] of Object.entries(sentActions[contract] || {})) {
+    const action = abi.actions.find(a => a.name === name)
+    const struct = action && abi.structs.find(s => s.name === action.type)
+    if (!struct) {
+      errors.push(`action ${name} is not declared`)
+      continue
+    }
+    const declared = struct.fields.map(f => f.name)
+    if (declared.join() !== fields.join()) {
+      errors.push(`action ${name} has fields (${declared.join(', ')}), the scripts send (${fields.join(', ')})`)
+    }
+  }
+
+  const variantTypes = Object.values(VariantTypes)
+  for (const variant of abi.variants || []) {
+    if (variant.types.includes(VariantTypes.Asset) && variant.types.includes(VariantTypes.TimePoint)) {
+      const missing = variantTypes.filter(t => !variant.types.includes(t))
+      const unknown = variant.types.filter(t => !variantTypes.includes(t))
+      if (missing.length > 0 || unknown.length > 0) {
+        errors.push(`variant ${variant.name} does not match common::types::variant_value (missing: ${missing.join(', ') || '-'}, unknown: ${unknown.join(', ') || '-'})`)
+      }
+    }
   }
+
+  if (errors.length > 0) {
+    throw new Error(`ABI generated for ${contract} does not agree with the scripts configuration:\n  ${errors.join('\n  ')}`)
+  }
+}
+
+async function updateConstants() {
+  fs.writeFileSync(join(__dirname, '../include/common/constants.hpp'), renderConstants(profile))
+}
+
+// renders the constants of the profile and compiles the given contracts
+async function compileContracts(contracts) {
+  console.log(`Rendering constants for ${chain}`)
+  await updateConstants()
+
+  console.log('COMPILING CONTRACTS\n')
+
+  await Promise.all(contracts.map(contract => {
+    return compileContract({
+      contract: contract.name,
+      path: `./src/${contract.name}.cpp`
+    })
+  }))
+
+  console.log('compilation finished\n\n')
 }
 
-module.exports = { compileContract, updateConstants }
+module.exports = { compileContract, compileContracts, updateConstants, checkAbi, sentActions }
@@ -1,60 +1,21 @@
 require('dotenv').config()
 
+const { loadProfile, listProfiles } = require('./chain-profiles')
+
 const devKey = 'EOS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV'
 
-const contract = (name, nameOnChain) => {
+const contract = (name, nameOnChain, stakes) => {
   return {
     name,
     nameOnChain,
     type: 'contract',
-    stakes: {
-      cpu: '1.0000 EOS',
-      net: '1.0000 EOS',
-      ram: 1000000
-    }
+    stakes
   }
 }
 
-const supportedChains = {
-  local: 'local',
-  telosTestnet: 'telosTestnet',
-  telosMainnet: 'telosMainnet',
-  jungleTestnet: 'jungleTestnet',
-  eosMainnet: 'eosMainnet'
-}
-
-const contractsConfig = {
-  [supportedChains.local]: [
-    contract('nullcontract', 'm1nullcntrct'),
-    contract('referendums', 'eospropvotes'),
-    contract('proposals', 'eosmakeprops'),
-    contract('token', 'eosio.token')
-  ],
-  [supportedChains.jungleTestnet]: [
-    contract('referendums', 'referendums1'),
-    contract('proposals', 'tlaproposals'),
-    contract('token', 'tlatesttoken')
-  ],
-  [supportedChains.telosTestnet]: [
-    contract('referendums', 'referendums1'),
-    contract('proposals', 'tlaproposals'),
-    contract('token', 'tlatesttoken')
-  ],
-  [supportedChains.telosTestnet]: [
-    contract('referendums', 'testrefendum'),
-    contract('proposals', 'testproposal'),
-  ],
-  [supportedChains.eosMainnet]: [
-    contract('referendums', 'eospropvotes'),
-    contract('proposals', 'eosmakeprops')
-  ]
-}
-
-const ownerByChain = {
-  [supportedChains.local]: 'eosio',
-  [supportedChains.jungleTestnet]: 'tlalocman123',
-  [supportedChains.telosTestnet]: 'tlaclocmant2',
-  [supportedChains.eosMainnet]: 'erick.bk'
+const supportedChains = {}
+for (const name of listProfiles()) {
+  supportedChains[name] = name
 }
 
 const ownerPublicKeys = {
@@ -63,10 +24,11 @@ const ownerPublicKeys = {
 }
 
 const chain = process.env.CHAIN_NAME
+const profile = loadProfile(chain)
 
-const owner = ownerByChain[chain]
+const owner = profile.owner
 const publicKeys = ownerPublicKeys
-const contracts = contractsConfig[chain]
+const contracts = profile.contracts.map(c => contract(c.name, c.account, c.stakes))
 const contractNames = {}
 const nameOnChainToName = {}
 
@@ -75,23 +37,10 @@ for (const c of contracts) {
   nameOnChainToName[c.nameOnChain] = c.name
 }
 
-const permissionsConfig = [
-  {
-    target: `${contractNames.referendums}@active`,
-    actor: `${contractNames.referendums}@eosio.code`
-  },
-  {
-    target: `${contractNames.proposals}@active`,
-    actor: `${contractNames.proposals}@eosio.code`
-  },
-  {
-    target: `${contractNames.referendums}@active`,
-    actor: `${contractNames.proposals}@active`
-  }
-]
+const permissionsConfig = profile.permissions
 
 function isLocalNode() {
-  return chain == supportedChains.local
+  return profile.local
 }
 
 function sleep(ms) {
@@ -100,5 +49,5 @@ function sleep(ms) {
 
 module.exports = {
   contracts, contractNames, nameOnChainToName, owner, ownerPublicKeys, publicKeys,
-  isLocalNode, sleep, chain, permissionsConfig, devKey
+  isLocalNode, sleep, chain, profile, supportedChains, permissionsConfig, devKey
 }
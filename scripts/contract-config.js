@@ -0,0 +1,116 @@
+const fs = require('fs')
+const { join } = require('path')
+const Ajv = require('ajv')
+const { Asset, AssetSymbol } = require('./asset')
+
+// every chain profile has its own params.json and phasesConfig.json under
+// config/<profile>
+const configDir = join(__dirname, 'config')
+
+const paramsSchema = require('./schemas/params.schema.json')
+
+// scopes of the config table and types of the phasesconf table
+const proposalTypes = paramsSchema.definitions.proposalType.enum
+
+const ajv = new Ajv({ allErrors: true })
+const validateParamsSchema = ajv.compile(paramsSchema)
+const validatePhasesSchema = ajv.compile(require('./schemas/phases.schema.json'))
+
+const schemaErrors = errors => errors.map(({ instancePath, message }) => `${instancePath || '/'} ${message}`)
+
+function getConfigPaths (profileName) {
+  return {
+    params: join(configDir, profileName, 'params.json'),
+    phases: join(configDir, profileName, 'phasesConfig.json')
+  }
+}
+
+// assets have to be in the token of the profile, the contracts compare them
+// with balances of that token
+function validateParams (params, profile) {
+  if (!validateParamsSchema(params)) {
+    return schemaErrors(validateParamsSchema.errors)
+  }
+
+  const errors = []
+  const symbol = AssetSymbol.fromString(profile.token.symbol)
+
+  for (const scope of Object.keys(params)) {
+    for (const setting of Object.keys(params[scope])) {
+      const [type, value] = params[scope][setting]
+      if (type === 'asset' && !Asset.fromString(value).symbol.equals(symbol)) {
+        errors.push(`/${scope}/${setting} must be in ${symbol}, the token of ${profile.name}`)
+      }
+    }
+  }
+
+  return errors
+}
+
+function validatePhases (phases) {
+  if (!validatePhasesSchema(phases)) {
+    return schemaErrors(validatePhasesSchema.errors)
+  }
+
+  const errors = []
+
+  for (const type of Object.keys(phases)) {
+    const names = phases[type].map(p => p.phaseName)
+    names.forEach((name, i) => {
+      if (names.indexOf(name) !== i) {
+        errors.push(`/${type}/${i} repeats phase ${name}`)
+      }
+    })
+  }
+
+  return errors
+}
+
+function readConfig (path) {
+  if (!fs.existsSync(path)) {
+    throw new Error(`${path} not found, every chain profile needs its params.json and phasesConfig.json in ${configDir}/<profile>`)
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function assertValid (errors, what) {
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${what}, nothing was sent:\n  ${errors.join('\n  ')}`)
+  }
+}
+
+function loadParams (path, profile) {
+  const params = readConfig(path)
+  assertValid(validateParams(params, profile), path)
+  return params
+}
+
+function loadPhases (path) {
+  const phases = readConfig(path)
+  assertValid(validatePhases(phases), path)
+  return phases
+}
+
+// errors of both config files of a profile, prefixed with the file they are in
+function validateProfileConfig (profile, profileName = profile.name) {
+  const paths = getConfigPaths(profileName)
+  const errors = []
+
+  for (const [file, path, validate] of [
+    ['params.json', paths.params, config => validateParams(config, profile)],
+    ['phasesConfig.json', paths.phases, validatePhases]
+  ]) {
+    if (!fs.existsSync(path)) {
+      errors.push(`config/${profileName}/${file} is missing`)
+      continue
+    }
+    errors.push(...validate(JSON.parse(fs.readFileSync(path))).map(error => `config/${profileName}/${file}: ${error}`))
+  }
+
+  return errors
+}
+
+module.exports = {
+  proposalTypes, getConfigPaths, validateParams, validatePhases, validateProfileConfig,
+  loadParams, loadPhases, assertValid
+}
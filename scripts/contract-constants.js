@@ -0,0 +1,126 @@
+const { AssetSymbol } = require('./asset')
+
+// names shared by the contracts and the scripts, include/common/constants.hpp
+// is rendered from these values and the chain profile on every compile
+const contractConstants = {
+  settings: {
+    min_stake: 'minstake',
+    vote_threshold: 'votethresh',
+    quorum: 'quorum'
+  },
+  referendums: {
+    status_created: 'created',
+    status_started: 'started',
+    status_hold: 'hold',
+    status_accepted: 'accepted',
+    status_rejected: 'rejected',
+
+    vote_favour: 'yes',
+    vote_against: 'no',
+    vote_abstain: 'abstain'
+  },
+  proposals: {
+    type_main: 'main',
+    type_amendment: 'amendment',
+    type_extend_debate: 'extenddebate',
+    type_shorten_debate: 'shortndebate',
+    type_change_time: 'changetime',
+
+    status_open: 'open',
+    status_accepted: 'approved',
+    status_rejected: 'rejected',
+
+    phase_discussion: 'discussion',
+    phase_debate: 'debate',
+    phase_debate_voting: 'prevote',
+    phase_voting: 'voting',
+    phase_accepted: 'approved',
+    phase_rejected: 'rejected',
+
+    phases: {
+      no_phase: 'nophase',
+      type_draft: 'draft',
+      type_dialog: 'dialog',
+      type_voting: 'voting'
+    }
+  }
+}
+
+const nameRegex = /^[a-z1-5.]{0,12}[a-j1-5.]?$/
+
+function checkName (name, description) {
+  if (!nameRegex.test(name)) {
+    throw new Error(`Invalid eosio name ${name} for ${description}`)
+  }
+  return name
+}
+
+// keys sharing a prefix (status_, vote_, type_...) are rendered as one block
+function renderNames (names, indent, path, grouped = false) {
+  const keys = Object.keys(names).filter(key => typeof names[key] === 'string')
+
+  return keys
+    .map((key, i) => {
+      const line = `${indent}constexpr eosio::name ${key} = "${checkName(names[key], `${path}::${key}`)}"_n;`
+      const newGroup = grouped && i > 0 && key.split('_')[0] !== keys[i - 1].split('_')[0]
+      return newGroup ? `\n${line}` : line
+    })
+    .join('\n')
+}
+
+function getContractAccount (profile, name) {
+  const contract = profile.contracts.find(c => c.name === name)
+  if (!contract) {
+    throw new Error(`The ${profile.name} profile does not declare the ${name} contract`)
+  }
+  return contract.account
+}
+
+function renderConstants (profile) {
+  const { code, precision } = AssetSymbol.fromString(profile.token.symbol)
+  const { settings, referendums, proposals } = contractConstants
+
+  return `#pragma once
+
+// generated by scripts/compile.js from the ${profile.name} chain profile, do not edit
+
+#include <eosio/eosio.hpp>
+
+namespace common
+{
+  const eosio::symbol token_symbol = eosio::symbol("${code}", ${precision});
+  const int64_t microseconds_per_day = 86400000000;
+
+  namespace contracts
+  {
+    constexpr eosio::name bank_token = "${checkName(profile.token.account, 'contracts::bank_token')}"_n;
+    constexpr eosio::name proposals = "${checkName(getContractAccount(profile, 'proposals'), 'contracts::proposals')}"_n;
+    constexpr eosio::name referendums = "${checkName(getContractAccount(profile, 'referendums'), 'contracts::referendums')}"_n;
+  }
+
+  namespace settings
+  {
+${renderNames(settings, '    ', 'settings')}
+  }
+
+  namespace referendums
+  {
+${renderNames(referendums, '    ', 'referendums', true)}
+  }
+
+  namespace proposals
+  {
+${renderNames(proposals, '    ', 'proposals', true)}
+
+    namespace phases
+    {
+${renderNames(proposals.phases, '      ', 'proposals::phases')}
+
+      constexpr int64_t undefined_duration_days = -1;
+    }
+  }
+}
+`
+}
+
+module.exports = { contractConstants, renderConstants }
@@ -1,42 +1,224 @@
-const { transact, rpc } = require('./eos')
+const fs = require('fs')
+const { join } = require('path')
+const { transact } = require('./eos')
+const queries = require('./queries')
+const { encodeVariant } = require('./variant')
+const { reportTransaction } = require('./reporter')
 
-const { ConfigPhasesBuilder, ConfigGeneralBuilder, ConfigEngineer } = require('./util/ConfigUtil')
-const { getContracts, createRandomAccount, Asset, formatTimePoint } = require('./eosio-util')
-
-const { contractNames } = require('./config')
+const { contractNames, chain, profile } = require('./config')
+const { getConfigPaths, loadParams, loadPhases, validateParams, validatePhases, proposalTypes } = require('./contract-config')
 const { proposals } = contractNames
 
-async function setConfig(test = false) {
-  let contracts
-  contracts = await getContracts([proposals])
+const { params: paramsPath, phases: phasesPath } = getConfigPaths(chain)
+
+async function getConfig(scope = proposals) {
+  return queries.getConfig(scope)
+}
+
+function settingAction(scope, setting, value) {
+  return {
+    account: proposals,
+    name: 'setgparam',
+    authorization: [{ actor: proposals, permission: 'active' }],
+    data: { scope, setting, value }
+  }
+}
 
-  const configEngineerGeneral = new ConfigEngineer(new ConfigGeneralBuilder(contracts.proposals, proposals))
-  await configEngineerGeneral.execute({})
+function phasesAction(type, defaultPhases) {
+  return {
+    account: proposals,
+    name: 'setpconfig',
+    authorization: [{ actor: proposals, permission: 'active' }],
+    data: { type, default_phases: defaultPhases }
+  }
 }
 
-async function getConfig() {
-  const res = await rpc.get_table_rows({
-    code: proposals,
-    scope: proposals,
-    table: 'config',
-    json: true,
-    limit: 200
-  })
-  return res.rows
+// values are compared in their encoded form so "10.0000 EOS" and an Asset
+// or 3 and "3" are considered equal
+function sameValue(a, b) {
+  try {
+    return JSON.stringify(encodeVariant(a[1], a[0])) === JSON.stringify(encodeVariant(b[1], b[0]))
+  } catch (err) {
+    return false
+  }
+}
+
+// setgparam actions needed to bring the config table to params.json,
+// deployed = false skips reading the chain for a contract not deployed yet
+async function getConfigChanges({ path = paramsPath, deployed = true } = {}) {
+  const conf = loadParams(path, profile)
+  const changes = []
+
+  for (const scope of Object.keys(conf)) {
+    const rows = deployed ? await queries.getConfig(scope) : []
+
+    for (const setting of Object.keys(conf[scope])) {
+      const value = conf[scope][setting]
+      const row = rows.find(r => r.setting === setting)
+
+      if (!row || !sameValue(row.value, value)) {
+        changes.push({
+          description: `${scope}.${setting}: ${row ? JSON.stringify(row.value) : '(unset)'} -> ${JSON.stringify(value)}`,
+          action: settingAction(scope, setting, value)
+        })
+      }
+    }
+  }
+
+  return changes
+}
+
+function formatPhasesConfig(phases) {
+  return phases.map(phase => ({
+    phase_name: phase.phaseName,
+    duration_days: phase.durationDays,
+    type: phase.type
+  }))
+}
+
+const formatPhases = phases => phases.map(p => `${p.phase_name} ${p.duration_days}d ${p.type}`).join(', ')
+
+// setpconfig actions needed to bring the phasesconf table to phasesConfig.json
+async function getPhasesChanges({ path = phasesPath, deployed = true } = {}) {
+  const conf = loadPhases(path)
+  const rows = deployed ? await queries.getPhasesConfig() : []
+  const changes = []
+
+  for (const type of Object.keys(conf)) {
+    const desired = formatPhasesConfig(conf[type])
+    const row = rows.find(r => r.type === type)
+    const current = row
+      ? row.default_phases.map(({ phase, duration_days, type }) => ({ phase_name: phase, duration_days, type }))
+      : null
+
+    if (JSON.stringify(current) !== JSON.stringify(desired)) {
+      changes.push({
+        description: `${type} phases: ${current ? formatPhases(current) : '(unset)'} -> ${formatPhases(desired)}`,
+        action: phasesAction(type, desired)
+      })
+    }
+  }
+
+  return changes
+}
+
+// settings and phase configs on chain that the json files no longer mention,
+// the contract has no action to remove them so they are only reported
+async function getConfigExtras({ paramsFile = paramsPath, phasesFile = phasesPath, params = true, phases = true } = {}) {
+  const extras = []
+
+  if (params) {
+    const conf = loadParams(paramsFile, profile)
+    for (const scope of new Set([...proposalTypes, ...Object.keys(conf)])) {
+      for (const { setting, value } of await queries.getConfig(scope)) {
+        if (!conf[scope] || conf[scope][setting] === undefined) {
+          extras.push(`${scope}.${setting} = ${JSON.stringify(value)} is not in ${paramsFile}`)
+        }
+      }
+    }
+  }
+
+  if (phases) {
+    const conf = loadPhases(phasesFile)
+    for (const { type, default_phases } of await queries.getPhasesConfig()) {
+      if (!conf[type]) {
+        extras.push(`${type} phases ${default_phases.map(p => p.phase).join(',')} are not in ${phasesFile}`)
+      }
+    }
+  }
+
+  return extras
+}
+
+async function getConfigDiff({ params = true, phases = true } = {}) {
+  return {
+    changes: [
+      ...(params ? await getConfigChanges() : []),
+      ...(phases ? await getPhasesChanges() : [])
+    ],
+    extras: await getConfigExtras({ params, phases })
+  }
+}
+
+function printConfigDiff({ changes, extras }) {
+  changes.forEach(({ description }) => console.log(`  ~ ${description}`))
+  extras.forEach(extra => console.log(`  ? ${extra}`))
+  if (changes.length === 0) {
+    console.log('  the config on chain matches the json files')
+  }
+}
+
+// sends the changed settings and phases in a single transaction
+async function syncConfig({ params = true, phases = true } = {}) {
+  const diff = await getConfigDiff({ params, phases })
+  printConfigDiff(diff)
+
+  if (diff.changes.length === 0) {
+    return null
+  }
+
+  const result = await transact({ actions: diff.changes.map(({ action }) => action) })
+  return reportTransaction(result, `sync config of ${proposals} (${diff.changes.length} change(s))`)
+}
+
+async function setConfig() {
+  return syncConfig({ phases: false })
 }
 
 async function setPhases() {
-  let contracts
-  contracts = await getContracts([proposals])
+  return syncConfig({ params: false })
+}
+
+// reads the config table of every proposal type and the phasesconf table back
+// into the params.json and phasesConfig.json format
+async function exportConfig() {
+  const params = {}
+  for (const scope of proposalTypes) {
+    const rows = await queries.getConfig(scope)
+    if (rows.length > 0) {
+      params[scope] = {}
+      for (const { setting, value } of rows) {
+        params[scope][setting] = value
+      }
+    }
+  }
+
+  const phases = {}
+  for (const { type, default_phases } of await queries.getPhasesConfig()) {
+    phases[type] = default_phases.map(({ phase, duration_days, type }) => ({
+      phaseName: phase,
+      durationDays: duration_days,
+      type
+    }))
+  }
+
+  return { params, phases }
+}
+
+// writes the exported config to dir, it can be used as the config of another
+// profile once copied to config/<profile>
+async function writeConfigExport(dir = join(__dirname, `../logs/config/${chain}`)) {
+  const { params, phases } = await exportConfig()
+
+  const errors = [...validateParams(params, profile), ...validatePhases(phases)]
+  if (errors.length > 0) {
+    console.log(`the config on chain does not pass the schemas:\n  ${errors.join('\n  ')}`)
+  }
 
-  const configEngineerPhases = new ConfigEngineer(new ConfigPhasesBuilder(contracts.proposals, proposals))
-  await configEngineerPhases.execute({})
+  fs.mkdirSync(dir, { recursive: true })
+  const files = { params: join(dir, 'params.json'), phases: join(dir, 'phasesConfig.json') }
+  fs.writeFileSync(files.params, `${JSON.stringify(params, null, 2)}\n`)
+  fs.writeFileSync(files.phases, `${JSON.stringify(phases, null, 2)}\n`)
 
+  return files
 }
 
 module.exports = {
+  settingAction, phasesAction,
   setConfig, getConfig,
-  setPhases
+  setPhases,
+  getConfigChanges, getPhasesChanges, getConfigExtras, getConfigDiff, printConfigDiff, syncConfig,
+  exportConfig, writeConfigExport
 }
 
 
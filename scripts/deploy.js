@@ -1,12 +1,17 @@
-const { api } = require('./eos')
+const { api, rpc, transactOptions } = require('./eos')
 const { Serialize } = require('eosjs')
+const crypto = require('crypto')
 const fs = require('fs')
 const { join } = require('path')
 const { isLocalNode } = require('./config')
+const { reportTransaction } = require('./reporter')
 
-async function getWasmAbi (contractName) {
-  const codePath = join(__dirname, `../compiled/${contractName}.wasm`)
-  const abiPath = join(__dirname, `../compiled/${contractName}.abi`)
+const EMPTY_CODE_HASH = '0'.repeat(64)
+const COMPILED_DIR = join(__dirname, '../compiled')
+
+async function getWasmAbi (contractName, compiledDir = COMPILED_DIR) {
+  const codePath = join(compiledDir, `${contractName}.wasm`)
+  const abiPath = join(compiledDir, `${contractName}.abi`)
 
   const code = new Promise(resolve => {
     fs.readFile(codePath, (_, r) => resolve(r))
@@ -18,39 +23,15 @@ async function getWasmAbi (contractName) {
   return Promise.all([code, abi]).then(([code, abi]) => ({ code, abi }))
 }
 
-
-async function setCode ({ account, code, vmtype, vmversion }, { authorization }) {
-
-  const wasmHexString = code.toString('hex')
+function getAuthorization (authorization) {
   let [actor, permission] = authorization.split('@')
-
-  const res = await api.transact({
-    actions: [{
-      account: 'eosio',
-      name: 'setcode',
-      authorization: [{
-        actor,
-        permission,
-      }],
-      data: {
-        account,
-        code: wasmHexString,
-        vmtype,
-        vmversion
-      }
-    }]
-  },
-  {
-    blocksBehind: 3,
-    expireSeconds: 30
-  })
-
-  return res
-
+  return [{
+    actor,
+    permission,
+  }]
 }
 
-async function setAbi ({ account, abi }, { authorization }) {
-
+function serializeAbi (abi) {
   const buffer = new Serialize.SerialBuffer({
     textEncoder: api.textEncoder,
     textDecoder: api.textDecoder
@@ -64,165 +45,199 @@ async function setAbi ({ account, abi }, { authorization }) {
     )
 
   abiDefinitions.serialize(buffer, abi)
-  const serializedAbiHexString = Buffer.from(buffer.asUint8Array()).toString('hex')
+  return Buffer.from(buffer.asUint8Array())
+}
 
-  let [actor, permission] = authorization.split('@')
+function setCodeAction ({ account, code, vmtype, vmversion }, { authorization }) {
+  return {
+    account: 'eosio',
+    name: 'setcode',
+    authorization: getAuthorization(authorization),
+    data: {
+      account,
+      code: code.toString('hex'),
+      vmtype,
+      vmversion
+    }
+  }
+}
+
+function setAbiAction ({ account, abi }, { authorization }) {
+  return {
+    account: 'eosio',
+    name: 'setabi',
+    authorization: getAuthorization(authorization),
+    data: {
+      account,
+      abi: serializeAbi(abi).toString('hex')
+    }
+  }
+}
+
+function createAccountActions ({ account, publicKey, stakes, creator }) {
+
+  const authorization = getAuthorization(`${creator}@active`)
 
-  const res = await api.transact({
-    actions: [{
+  const actions = [
+    {
       account: 'eosio',
-      name: 'setabi',
-      authorization: [{
-        actor,
-        permission,
-      }],
+      name: 'newaccount',
+      authorization,
       data: {
-        account,
-        abi: serializedAbiHexString
+        creator,
+        name: account,
+        owner: {
+          threshold: 1,
+          keys: [{
+            key: publicKey,
+            weight: 1
+          }],
+          accounts: [],
+          waits: []
+        },
+        active: {
+          threshold: 1,
+          keys: [{
+            key: publicKey,
+            weight: 1
+          }],
+          accounts: [],
+          waits: []
+        },
       }
-    }]
-  },
-  {
-    blocksBehind: 3,
-    expireSeconds: 30
-  })
+    }
+  ]
 
-  return res
+  if (isLocalNode()) {
+    return actions
+  }
 
-}
+  return [
+    ...actions,
+    {
+      account: 'eosio',
+      name: 'buyrambytes',
+      authorization,
+      data: {
+        payer: creator,
+        receiver: account,
+        bytes: stakes.ram,
+      },
+    },
+    {
+      account: 'eosio',
+      name: 'delegatebw',
+      authorization,
+      data: {
+        from: creator,
+        receiver: account,
+        stake_net_quantity: stakes.net,
+        stake_cpu_quantity: stakes.cpu,
+        transfer: false,
+      }
+    }
+  ]
 
+}
 
 async function createAccount ({ account, publicKey, stakes, creator }) {
 
-  if (isLocalNode()) {
-    await api.transact({
-      actions: [
-        {
-          account: 'eosio',
-          name: 'newaccount',
-          authorization: [{
-            actor: creator,
-            permission: 'active',
-          }],
-          data: {
-            creator,
-            name: account,
-            owner: {
-              threshold: 1,
-              keys: [{
-                key: publicKey,
-                weight: 1
-              }],
-              accounts: [],
-              waits: []
-            },
-            active: {
-              threshold: 1,
-              keys: [{
-                key: publicKey,
-                weight: 1
-              }],
-              accounts: [],
-              waits: []
-            },
-          }
-        }
-      ]
-    }, {
-      blocksBehind: 3,
-      expireSeconds: 30
-    })  
-  } else {
-    await api.transact({
-      actions: [
-        {
-          account: 'eosio',
-          name: 'newaccount',
-          authorization: [{
-            actor: creator,
-            permission: 'active',
-          }],
-          data: {
-            creator,
-            name: account,
-            owner: {
-              threshold: 1,
-              keys: [{
-                key: publicKey,
-                weight: 1
-              }],
-              accounts: [],
-              waits: []
-            },
-            active: {
-              threshold: 1,
-              keys: [{
-                key: publicKey,
-                weight: 1
-              }],
-              accounts: [],
-              waits: []
-            },
-          }
-        },
-        {
-          account: 'eosio',
-          name: 'buyrambytes',
-          authorization: [{
-            actor: creator,
-            permission: 'active',
-          }],
-          data: {
-            payer: creator,
-            receiver: account,
-            bytes: stakes.ram,
-          },
-        },
-        {
-          account: 'eosio',
-          name: 'delegatebw',
-          authorization: [{
-            actor: creator,
-            permission: 'active',
-          }],
-          data: {
-            from: creator,
-            receiver: account,
-            stake_net_quantity: stakes.net,
-            stake_cpu_quantity: stakes.cpu,
-            transfer: false,
-          }
-        }
-      ]
-    }, {
-      blocksBehind: 3,
-      expireSeconds: 30
-    })  
+  const result = await api.transact({
+    actions: createAccountActions({ account, publicKey, stakes, creator })
+  }, transactOptions())
+
+  return reportTransaction(result, `create account ${account}`)
+
+}
+
+async function isAccountCreated (account) {
+  try {
+    await rpc.get_account(account)
+    return true
+  } catch (err) {
+    if (err.json && err.json.error && err.json.error.name === 'unknown_key_exception') {
+      return false
+    }
+    if (err.message && err.message.includes('unknown key')) {
+      return false
+    }
+    throw err
+  }
+}
+
+// compares the compiled wasm/abi with what the account is running, nodeos
+// returns the sha256 of the wasm and the ABI as setabi received it (base64)
+async function getDeploymentChanges (contract, { compiledDir } = {}) {
+  const { code: wasm, abi } = await getWasmAbi(contract.name, compiledDir)
+  if (!wasm || !abi) {
+    throw new Error(`compiled/${contract.name}.wasm or compiled/${contract.name}.abi not found, compile the contract first`)
   }
 
+  const localAbi = JSON.parse(abi)
+  const localCodeHash = crypto.createHash('sha256').update(wasm).digest('hex')
+  const localAbiHex = serializeAbi(localAbi).toString('hex')
+
+  let chainCodeHash = EMPTY_CODE_HASH
+  let chainAbiHex = ''
+
+  if (await isAccountCreated(contract.nameOnChain)) {
+    const { code_hash } = await rpc.get_code_hash(contract.nameOnChain)
+    const { abi: rawAbi } = await rpc.get_raw_abi(contract.nameOnChain)
+    chainCodeHash = code_hash
+    // ABIs sent without the binary extensions (action_results, kv_tables)
+    // are read back and serialized the way setAbiAction does
+    chainAbiHex = rawAbi ? serializeAbi(api.rawAbiToJson(Buffer.from(rawAbi, 'base64'))).toString('hex') : ''
+  }
+
+  return {
+    wasm,
+    abi: localAbi,
+    localCodeHash,
+    chainCodeHash,
+    codeChanged: localCodeHash !== chainCodeHash,
+    abiChanged: localAbiHex !== chainAbiHex
+  }
 }
 
+// sends setcode and/or setabi in a single transaction, only for what differs
+// from the code and ABI the account is already running
+async function deployContract (contract, options = {}) {
 
-async function deployContract (contract) {
+  const { wasm, abi, localCodeHash, codeChanged, abiChanged } = await getDeploymentChanges(contract, options)
+  const authorization = `${contract.nameOnChain}@active`
 
-  const { code: wasm, abi } = await getWasmAbi(contract.name)
+  const actions = []
 
-  await setCode({
-    account: contract.nameOnChain,
-    code: wasm,
-    vmtype: 0,
-    vmversion: 0
-  }, {
-    authorization: `${contract.nameOnChain}@active`
-  })
+  if (codeChanged) {
+    actions.push(setCodeAction({
+      account: contract.nameOnChain,
+      code: wasm,
+      vmtype: 0,
+      vmversion: 0
+    }, { authorization }))
+  }
 
-  await setAbi({
-    account: contract.nameOnChain,
-    abi: JSON.parse(abi)
-  }, {
-    authorization: `${contract.nameOnChain}@active`
-  })
+  if (abiChanged) {
+    actions.push(setAbiAction({
+      account: contract.nameOnChain,
+      abi
+    }, { authorization }))
+  }
+
+  if (actions.length === 0) {
+    console.log(`${contract.nameOnChain} is already running code ${localCodeHash} and the compiled ABI, nothing to deploy`)
+    return { codeChanged, abiChanged }
+  }
+
+  const result = await api.transact({ actions }, transactOptions())
+
+  reportTransaction(result, `deploy ${contract.name} to ${contract.nameOnChain} (${actions.map(a => a.name).join(' + ')})`)
+
+  return { codeChanged, abiChanged, result }
 
 }
 
-module.exports = { createAccount, deployContract }
+module.exports = {
+  createAccount, createAccountActions, deployContract, isAccountCreated,
+  getDeploymentChanges, setCodeAction, setAbiAction
+}
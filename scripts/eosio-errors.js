@@ -40,8 +40,39 @@ function contractRunningSameCode (error) {
   })
 }
 
+// chain errors that can go away by themselves, anything else the chain
+// reports (assertions, missing authority, duplicates...) will fail again
+const transientErrorNames = [
+  'deadline_exception',
+  'leeway_deadline_exception',
+  'timeout_exception'
+]
+
+const transientStatusCodes = [408, 429, 502, 503, 504]
+
+// eosjs sets isFetchError on everything thrown inside JsonRpc.fetch, the
+// RpcErrors for chain failures included, only the ones without a response
+// body are network errors
+function isTransientError (error) {
+  const json = error.json
+  if (!json) {
+    return !!error.isFetchError
+  }
+  const chainError = json.error || (json.processed && json.processed.except) || (json.result && json.result.except) || {}
+  if (chainError.name) {
+    return transientErrorNames.includes(chainError.name)
+  }
+  return transientStatusCodes.includes(json.code)
+}
+
+function isDuplicateTransaction (error) {
+  return !!(error.json && error.json.error && error.json.error.name === 'tx_duplicate')
+}
+
 module.exports = {
   assertError,
   accountExists,
-  contractRunningSameCode
+  contractRunningSameCode,
+  isTransientError,
+  isDuplicateTransaction
 }
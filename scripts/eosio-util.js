@@ -1,6 +1,8 @@
-const { api, rpc } = require('./eos')
+const { Serialize } = require('eosjs')
+const { api, rpc, transactOptions } = require('./eos')
 const { nameOnChainToName, contractNames, isLocalNode, devKey } = require('./config')
 const { createAccount } = require('./deploy')
+const { Asset } = require('./asset')
 
 function getNonce () {
   if (isLocalNode()) {
@@ -19,69 +21,105 @@ function getNonce () {
   return []
 }
 
+function parseAuthorization (authorization) {
+  if (Array.isArray(authorization)) {
+    return authorization
+  }
+  const [actor, permission] = authorization.split('@')
+  return [{
+    actor,
+    permission
+  }]
+}
+
+function isNamedArguments (value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+}
+
+function checkFieldType (account, action, field, value) {
+  const buffer = new Serialize.SerialBuffer({
+    textEncoder: api.textEncoder,
+    textDecoder: api.textDecoder
+  })
+  try {
+    field.type.serialize(buffer, value)
+  } catch (err) {
+    throw new Error(`Invalid value for field "${field.name}" (${field.typeName}) of ${account}::${action.name}: ${err.message}`)
+  }
+}
+
+function getActionData (account, action, args) {
+  const data = {}
+
+  if (args.length === 1 && isNamedArguments(args[0]) && action.fields.length > 0) {
+    const named = args[0]
+    const fieldNames = action.fields.map(({ name }) => name)
+
+    const unknown = Object.keys(named).filter(key => !fieldNames.includes(key))
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fields ${unknown.join(', ')} for ${account}::${action.name}, expected: ${fieldNames.join(', ')}`)
+    }
+
+    const missing = fieldNames.filter(name => named[name] === undefined)
+    if (missing.length > 0) {
+      throw new Error(`Missing fields ${missing.join(', ')} for ${account}::${action.name}`)
+    }
+
+    for (const { name } of action.fields) {
+      data[name] = named[name]
+    }
+  } else {
+    if (action.fields.length != args.length) {
+      throw new Error(`Expected ${action.fields.length} arguments to call ${action.name} action in ${account} contract, got ${args.length}`)
+    }
+    for (let i = 0; i < action.fields.length; i++) {
+      const { name } = action.fields[i]
+      data[name] = args[i]
+    }
+  }
+
+  for (const field of action.fields) {
+    checkFieldType(account, action, field, data[field.name])
+  }
+
+  return data
+}
+
 async function initContract (account) {
   const contract = await api.getContract(account)
   const functions = {}
   for (let [_, action] of contract.actions) {
-    functions[action.name] = async function () {
-      let auth
-      const { authorization } = arguments[arguments.length - 1]
-      if (Array.isArray(authorization)) {
-        auth = authorization
-      } else {
-        let [actor, permission] = authorization.split('@')
-        auth = [{
-          actor,
-          permission,
-        }]
+    // accepts either the ABI fields in order or a single object keyed by
+    // field name, followed by { authorization }
+    const build = function (...args) {
+      const options = args.pop()
+      if (!options || options.authorization === undefined) {
+        throw new Error(`Missing { authorization } as last argument to call ${action.name} action in ${account} contract`)
       }
-      
-      const data = {}
-
-      // if (action.fields.length > 0 && arguments.length == 2 && typeof arguments[0] === 'object') {
-      //   for (let i = 0; i < action.fields.length; i++) {
-      //     const { name } = action.fields[i]
-      //     data[name] = arguments[0][name]
-      //   }
-      // } else {
-      //   if ((action.fields.length + 1) != arguments.length) {
-      //     throw new Error(`Not enough arguments to call ${action.name} action in ${account} contract`)
-      //   }
-      //   for (let i = 0; i < action.fields.length; i++) {
-      //     const { name } = action.fields[i]
-      //     data[name] = arguments[i]
-      //   }
-      // }
-
-      if ((action.fields.length + 1) != arguments.length) {
-        throw new Exception(`Not enough arguments to call ${action.name} action in ${accountName} contract`)
-      }
-      for (let i = 0; i < action.fields.length; i++) {
-        const { name } = action.fields[i]
-        data[name] = arguments[i]
+      return {
+        account,
+        name: action.name,
+        authorization: parseAuthorization(options.authorization),
+        data: getActionData(account, action, args)
       }
+    }
 
+    functions[action.name] = async function (...args) {
       const nonce = getNonce() 
       const actions = [
-        {
-          account,
-          name: action.name,
-          authorization: auth,
-          data
-        },
+        build(...args),
         ...nonce
       ]
       
       const res = await api.transact({
         actions
-      }, {
-        blocksBehind: 3,
-        expireSeconds: 30,
-        expireSeconds: 2000
-      })
+      }, transactOptions())
 
       return res
     }
+    functions[action.name].build = build
   }
   return { ...contract, ...functions }
 }
@@ -122,36 +160,11 @@ async function createRandomAccount () {
   return accountName
 }
 
-class Asset {
-
-  constructor (amount, code, precision) {
-    this.amount = amount
-    this.code = code
-    this.precision = precision
-  }
-
-  static fromString (string) {
-    const [amountString, code] = string.split(' ')
-    const [_, decimals] = amountString.split('.')
-    
-    const precision = decimals.length
-    const amount = parseFloat(amountString * (10 ** precision))
-
-    return new Asset(amount, code, precision)
-  }
-
-  toString () {
-    const amountWithDecimals = (this.amount / (10 ** this.precision)).toFixed(this.precision)
-    return `${amountWithDecimals} ${this.code}`
-  }
-
-}
-
 function formatTimePoint (date) {
   return date.toISOString().replace('Z', '')
 }
 
 module.exports = {
-  getContracts, initContract, getAccountBalance, randomAccountName,
+  getContracts, initContract, getActionData, getNonce, parseAuthorization, getAccountBalance, randomAccountName,
   createRandomAccount, Asset, formatTimePoint
 }
@@ -0,0 +1,219 @@
+const fs = require('fs')
+const { join, dirname } = require('path')
+const { contracts, permissionsConfig, publicKeys, owner, chain, sleep } = require('./config')
+const { compileContracts } = require('./compile')
+const { createAccount, deployContract, isAccountCreated, getDeploymentChanges } = require('./deploy')
+const { updatePermissions, getPermissionActions } = require('./permissions')
+const { setConfig, setPhases, getConfigChanges, getPhasesChanges } = require('./contract-settings')
+
+const stateDir = join(__dirname, '../logs/init')
+
+const compiledPath = (contract, extension) => join(__dirname, `../compiled/${contract.name}.${extension}`)
+
+// removes --resume and --only a,b from the init arguments
+function parseInitArgs(argv) {
+  const options = { resume: false, only: null }
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i]
+    if (flag === '--resume') {
+      options.resume = true
+    } else if (flag === '--only') {
+      if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+        throw new Error('--only expects a comma separated list of steps')
+      }
+      options.only = argv[++i].split(',').map(s => s.trim()).filter(s => s)
+    } else {
+      throw new Error(`Unknown init option ${flag}, expected --resume or --only <steps>`)
+    }
+  }
+
+  return options
+}
+
+async function isDeployed(contract) {
+  if (!(await isAccountCreated(contract.nameOnChain))) {
+    return false
+  }
+  const { chainCodeHash } = await getDeploymentChanges(contract)
+  return !/^0+$/.test(chainCodeHash)
+}
+
+// every step has a precondition, returning the reason it can not run yet,
+// and a postcondition, returning what is still missing on chain. Steps whose
+// postcondition already holds are not run again
+function getInitSteps() {
+  const proposals = contracts.find(c => c.name === 'proposals')
+
+  const proposalsDeployed = async () => {
+    if (!proposals || !(await isDeployed(proposals))) {
+      return 'the proposals contract is not deployed'
+    }
+  }
+
+  const steps = [{
+    name: 'compile',
+    // the sources may have changed even when the artifacts exist
+    always: true,
+    precondition: async () => {},
+    postcondition: async () => contracts
+      .filter(c => !fs.existsSync(compiledPath(c, 'wasm')) || !fs.existsSync(compiledPath(c, 'abi')))
+      .map(c => `compiled/${c.name}.wasm or compiled/${c.name}.abi is missing`),
+    run: () => compileContracts(contracts)
+  }]
+
+  for (const contract of contracts) {
+    steps.push({
+      name: `deploy:${contract.name}`,
+      precondition: async () => {
+        if (!fs.existsSync(compiledPath(contract, 'wasm')) || !fs.existsSync(compiledPath(contract, 'abi'))) {
+          return `${contract.name} is not compiled`
+        }
+      },
+      postcondition: async () => {
+        if (!(await isAccountCreated(contract.nameOnChain))) {
+          return [`account ${contract.nameOnChain} does not exist`]
+        }
+        const { localCodeHash, chainCodeHash, codeChanged, abiChanged } = await getDeploymentChanges(contract)
+        const missing = []
+        if (codeChanged) {
+          missing.push(`${contract.nameOnChain} runs code ${chainCodeHash} instead of ${localCodeHash}`)
+        }
+        if (abiChanged) {
+          missing.push(`${contract.nameOnChain} has another ABI`)
+        }
+        return missing
+      },
+      run: async () => {
+        if (!(await isAccountCreated(contract.nameOnChain))) {
+          console.log('create account:', contract.nameOnChain)
+          await createAccount({
+            account: contract.nameOnChain,
+            publicKey: publicKeys.active,
+            stakes: contract.stakes,
+            creator: owner
+          })
+        }
+        console.log('deploy contract for:', contract.nameOnChain)
+        await deployContract(contract)
+        await sleep(1000)
+      }
+    })
+  }
+
+  steps.push({
+    name: 'permissions',
+    precondition: async () => {
+      for (const { account } of permissionsConfig) {
+        if (!(await isAccountCreated(account))) {
+          return `account ${account} does not exist`
+        }
+      }
+    },
+    postcondition: async () => (await getPermissionActions()).map(({ description }) => description),
+    run: updatePermissions
+  }, {
+    name: 'config',
+    precondition: proposalsDeployed,
+    postcondition: async () => (await getConfigChanges()).map(({ description }) => description),
+    run: () => setConfig()
+  }, {
+    name: 'phases',
+    precondition: proposalsDeployed,
+    postcondition: async () => (await getPhasesChanges()).map(({ description }) => description),
+    run: setPhases
+  })
+
+  return steps
+}
+
+// --only accepts step names, "deploy" selects the deploy step of every contract
+function selectSteps(steps, only) {
+  if (!only) {
+    return steps
+  }
+
+  const matches = (step, name) => step.name === name || step.name.startsWith(`${name}:`)
+  const unknown = only.filter(name => !steps.some(step => matches(step, name)))
+  if (unknown.length > 0) {
+    throw new Error(`Unknown init step ${unknown.join(', ')}, expected one of ${steps.map(s => s.name).join(', ')}`)
+  }
+
+  return steps.filter(step => only.some(name => matches(step, name)))
+}
+
+function getStatePath(chainName = chain) {
+  return join(stateDir, `${chainName}.json`)
+}
+
+function readState(path) {
+  if (!fs.existsSync(path)) {
+    throw new Error(`No init state in ${path}, there is nothing to resume`)
+  }
+  return JSON.parse(fs.readFileSync(path))
+}
+
+function writeState(path, state) {
+  if (!fs.existsSync(dirname(path))) {
+    fs.mkdirSync(dirname(path), { recursive: true })
+  }
+  state.updatedAt = new Date().toISOString()
+  fs.writeFileSync(path, JSON.stringify(state, null, 2))
+}
+
+// runs the steps in order recording each outcome in the state file, with
+// resume the steps done in the previous run are skipped
+async function runSteps(steps, { resume = false, only = null, statePath = getStatePath(), log = console.log } = {}) {
+  const selected = selectSteps(steps, only)
+  const state = resume
+    ? readState(statePath)
+    : { chain, startedAt: new Date().toISOString(), steps: {} }
+
+  const record = (name, status, error) => {
+    state.steps[name] = { status, at: new Date().toISOString(), ...(error ? { error } : {}) }
+    writeState(statePath, state)
+  }
+
+  for (const step of selected) {
+    const previous = state.steps[step.name]
+    if (resume && previous && ['done', 'skipped'].includes(previous.status)) {
+      log(`${step.name}: done in the previous run`)
+      continue
+    }
+
+    try {
+      const reason = await step.precondition()
+      if (reason) {
+        throw new Error(`can not run yet, ${reason}`)
+      }
+
+      if (!step.always && (await step.postcondition()).length === 0) {
+        log(`${step.name}: already done`)
+        record(step.name, 'skipped')
+        continue
+      }
+
+      log(`${step.name}: running`)
+      await step.run()
+
+      const missing = await step.postcondition()
+      if (missing.length > 0) {
+        throw new Error(`postcondition not met after running:\n  ${missing.join('\n  ')}`)
+      }
+    } catch (err) {
+      record(step.name, 'failed', err.message)
+      throw new Error(`init step ${step.name} failed: ${err.message}\nfix the cause and continue with: node scripts/commands.js init --resume`)
+    }
+
+    record(step.name, 'done')
+    log(`${step.name}: done`)
+  }
+
+  return state
+}
+
+async function init(options) {
+  return runSteps(getInitSteps(), options)
+}
+
+module.exports = { init, getInitSteps, runSteps, selectSteps, parseInitArgs, getStatePath }
@@ -0,0 +1,406 @@
+const fs = require('fs')
+const { join } = require('path')
+const { spawn, exec } = require('child_process')
+const { promisify } = require('util')
+const fetch = require('node-fetch')
+
+const execCommand = promisify(exec)
+
+const defaultDir = join(__dirname, '../.local-node')
+const defaultImage = 'eostudio/eos:v2.0.0-rc3'
+const defaultFaketimeLib = '/usr/lib/x86_64-linux-gnu/faketime/libfaketime.so.1'
+const snapshotTimeOffset = 'time-offset'
+// past this many blocks restoring the snapshot is faster than checking the
+// blocks produced since for transactions
+const maxCheckedBlocks = 1200
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// the process may exit between the isRunning check and the signal
+function signal(pid, name) {
+  try {
+    process.kill(pid, name)
+  } catch (err) {
+    if (err.code !== 'ESRCH') {
+      throw err
+    }
+  }
+}
+
+// the flags of usefull-scripts/nodeos.sh, data and config live in dir so
+// the chain can be wiped and copied
+function nodeosArgs({ dataDir, configDir, httpPort = 8888 }) {
+  return [
+    '-e', '-p', 'eosio',
+    '--plugin', 'eosio::producer_plugin',
+    '--plugin', 'eosio::chain_api_plugin',
+    '--plugin', 'eosio::http_plugin',
+    `--http-server-address=0.0.0.0:${httpPort}`,
+    '--access-control-allow-origin=*',
+    '--contracts-console',
+    '--http-validate-host=false',
+    '--verbose-http-errors',
+    '--max-transaction-time=100',
+    `--data-dir=${dataDir}`,
+    `--config-dir=${configDir}`
+  ]
+}
+
+// runs a single producer nodeos for the local profile, either in docker
+// (NODEOS=docker, the default) or from the nodeos binary (NODEOS=local).
+// Snapshots are copies of the data directory taken while the node is stopped,
+// together with the block time offset.
+// Block time is moved forward by restarting nodeos under libfaketime, the
+// image has to include it when running in docker
+class LocalNode {
+
+  constructor({
+    runner = process.env.NODEOS || 'docker',
+    binary = 'nodeos',
+    image = process.env.NODEOS_IMAGE || defaultImage,
+    // null when FAKETIME is honored without preloading the library
+    faketimeLib = process.env.FAKETIME_LIB || defaultFaketimeLib,
+    name = 'nodeos',
+    dir = defaultDir,
+    httpPort = 8888,
+    p2pPort = 9876,
+    readyTimeoutMs = 30000,
+    pollIntervalMs = 250,
+    log = console.log
+  } = {}) {
+    if (!['docker', 'local'].includes(runner)) {
+      throw new Error(`Unknown NODEOS ${runner}, expected docker or local`)
+    }
+    this.runner = runner
+    this.binary = binary
+    this.image = image
+    this.faketimeLib = faketimeLib
+    this.name = name
+    this.dir = dir
+    this.httpPort = httpPort
+    this.p2pPort = p2pPort
+    this.readyTimeoutMs = readyTimeoutMs
+    this.pollIntervalMs = pollIntervalMs
+    this.log = log
+    this.endpoint = `http://127.0.0.1:${httpPort}`
+  }
+
+  get dataDir() {
+    return join(this.dir, 'data')
+  }
+
+  get configDir() {
+    return join(this.dir, 'config')
+  }
+
+  get snapshotsDir() {
+    return join(this.dir, 'snapshots')
+  }
+
+  get pidFile() {
+    return join(this.dir, 'nodeos.pid')
+  }
+
+  get logFile() {
+    return join(this.dir, 'nodeos.log')
+  }
+
+  get timeOffsetFile() {
+    return join(this.dir, 'time-offset')
+  }
+
+  get currentSnapshotFile() {
+    return join(this.dir, 'current-snapshot.json')
+  }
+
+  readPid() {
+    return fs.existsSync(this.pidFile) ? Number(fs.readFileSync(this.pidFile, 'utf8')) : null
+  }
+
+  // seconds the block time is ahead of the wall clock
+  getTimeOffset() {
+    return fs.existsSync(this.timeOffsetFile) ? Number(fs.readFileSync(this.timeOffsetFile, 'utf8')) : 0
+  }
+
+  clockEnv(offset = this.getTimeOffset()) {
+    if (offset === 0) {
+      return {}
+    }
+    if (this.faketimeLib && this.runner === 'local' && !fs.existsSync(this.faketimeLib)) {
+      throw new Error(`libfaketime not found at ${this.faketimeLib}, install it or set FAKETIME_LIB to move the block time`)
+    }
+    return {
+      FAKETIME: `+${offset}s`,
+      ...(this.faketimeLib ? { LD_PRELOAD: this.faketimeLib } : {})
+    }
+  }
+
+  async chainRequest(path, body = {}) {
+    try {
+      const response = await fetch(`${this.endpoint}/v1/chain/${path}`, { method: 'POST', body: JSON.stringify(body) })
+      return response.ok ? await response.json() : null
+    } catch (err) {
+      return null
+    }
+  }
+
+  getInfo() {
+    return this.chainRequest('get_info')
+  }
+
+  getBlock(num) {
+    return this.chainRequest('get_block', { block_num_or_id: num })
+  }
+
+  async isRunning() {
+    if (this.runner === 'docker') {
+      const { stdout } = await execCommand(`docker ps -q -f name=^/${this.name}$`)
+      return stdout.trim() !== ''
+    }
+
+    const pid = this.readPid()
+    if (!pid) {
+      return false
+    }
+    try {
+      process.kill(pid, 0)
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  async spawnNodeos() {
+    fs.mkdirSync(this.dataDir, { recursive: true })
+    fs.mkdirSync(this.configDir, { recursive: true })
+
+    if (this.runner === 'docker') {
+      const args = nodeosArgs({ dataDir: '/local-node/data', configDir: '/local-node/config' })
+      const { uid, gid } = process.getuid ? { uid: process.getuid(), gid: process.getgid() } : {}
+      const env = Object.entries(this.clockEnv()).map(([key, value]) => `-e ${key}=${value}`)
+      await execCommand([
+        'docker run -d --rm',
+        `--name ${this.name}`,
+        uid !== undefined ? `--user ${uid}:${gid}` : '',
+        ...env,
+        `-v ${this.dir}:/local-node`,
+        `-p 127.0.0.1:${this.httpPort}:8888 -p ${this.p2pPort}:9876`,
+        this.image,
+        'nodeos',
+        args.map(arg => `'${arg}'`).join(' ')
+      ].filter(part => part).join(' '))
+      return
+    }
+
+    const out = fs.openSync(this.logFile, 'a')
+    const child = spawn(this.binary, nodeosArgs({ dataDir: this.dataDir, configDir: this.configDir, httpPort: this.httpPort }), {
+      detached: true,
+      stdio: ['ignore', out, out],
+      env: { ...process.env, ...this.clockEnv() }
+    })
+    fs.closeSync(out)
+    await new Promise((resolve, reject) => {
+      child.once('error', err => reject(new Error(`Can not start ${this.binary}: ${err.message}`)))
+      child.once('spawn', resolve)
+    })
+    child.unref()
+    fs.writeFileSync(this.pidFile, `${child.pid}`)
+  }
+
+  // polls get_info until the head block moves, a node answering with a
+  // frozen head is not ready to take transactions
+  async waitUntilReady() {
+    const deadline = Date.now() + this.readyTimeoutMs
+    let firstHead = null
+
+    while (Date.now() < deadline) {
+      const info = await this.getInfo()
+      if (info) {
+        if (firstHead === null) {
+          firstHead = info.head_block_num
+        } else if (info.head_block_num > firstHead) {
+          return info
+        }
+      }
+      await sleep(this.pollIntervalMs)
+    }
+
+    const where = this.runner === 'docker' ? `docker logs ${this.name}` : this.logFile
+    throw new Error(`nodeos at ${this.endpoint} did not produce blocks within ${this.readyTimeoutMs / 1000}s, see ${where}`)
+  }
+
+  async start() {
+    if (await this.isRunning()) {
+      return this.waitUntilReady()
+    }
+    if (await this.getInfo()) {
+      throw new Error(`Another node is already answering at ${this.endpoint}, stop it first`)
+    }
+
+    this.log(`starting nodeos (${this.runner}) at ${this.endpoint}`)
+    await this.spawnNodeos()
+    return this.waitUntilReady()
+  }
+
+  async stop() {
+    if (!(await this.isRunning())) {
+      return
+    }
+
+    this.log('stopping nodeos')
+    if (this.runner === 'docker') {
+      await execCommand(`docker stop -t 30 ${this.name}`)
+      // --rm removes the container in the background, the name stays taken until then
+      while ((await execCommand(`docker ps -aq -f name=^/${this.name}$`)).stdout.trim() !== '') {
+        await sleep(this.pollIntervalMs)
+      }
+      return
+    }
+
+    // SIGINT lets nodeos flush its state so the data directory can be reused,
+    // SIGKILL is sent once when it does not exit in time
+    const pid = this.readPid()
+    try {
+      signal(pid, 'SIGINT')
+      const deadline = Date.now() + this.readyTimeoutMs
+      let killed = false
+      while (await this.isRunning()) {
+        if (!killed && Date.now() > deadline) {
+          signal(pid, 'SIGKILL')
+          killed = true
+        }
+        await sleep(this.pollIntervalMs)
+      }
+    } finally {
+      fs.rmSync(this.pidFile, { force: true })
+    }
+  }
+
+  // a fresh chain with only the eosio account
+  async reset() {
+    await this.stop()
+    fs.rmSync(this.dataDir, { recursive: true, force: true })
+    fs.rmSync(this.configDir, { recursive: true, force: true })
+    fs.rmSync(this.timeOffsetFile, { force: true })
+    fs.rmSync(this.currentSnapshotFile, { force: true })
+    return this.start()
+  }
+
+  // restarts nodeos with its clock moved forward, the chain keeps its state.
+  // Block time can not go back, so the offset only grows until the next reset
+  async advanceTime(seconds) {
+    if (!(seconds > 0)) {
+      throw new Error(`Block time can only move forward, got ${seconds} seconds`)
+    }
+    const offset = this.getTimeOffset() + seconds
+    // fails before stopping the node when the clock can not be faked
+    this.clockEnv(offset)
+
+    await this.stop()
+    fs.mkdirSync(this.dir, { recursive: true })
+    fs.writeFileSync(this.timeOffsetFile, `${offset}`)
+    return this.start()
+  }
+
+  snapshotPath(name) {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid snapshot name ${name}`)
+    }
+    return join(this.snapshotsDir, name)
+  }
+
+  hasSnapshot(name) {
+    return fs.existsSync(this.snapshotPath(name))
+  }
+
+  listSnapshots() {
+    return fs.existsSync(this.snapshotsDir) ? fs.readdirSync(this.snapshotsDir).sort() : []
+  }
+
+  async snapshot(name) {
+    const path = this.snapshotPath(name)
+    await this.stop()
+    fs.rmSync(path, { recursive: true, force: true })
+    fs.mkdirSync(this.snapshotsDir, { recursive: true })
+    fs.cpSync(this.dataDir, path, { recursive: true })
+    // the chain of the snapshot only runs with the clock it was produced with
+    if (fs.existsSync(this.timeOffsetFile)) {
+      fs.copyFileSync(this.timeOffsetFile, join(path, snapshotTimeOffset))
+    }
+    this.log(`saved snapshot ${name}`)
+    return this.markSnapshot(name, await this.start())
+  }
+
+  async restore(name) {
+    const path = this.snapshotPath(name)
+    if (!fs.existsSync(path)) {
+      throw new Error(`Snapshot ${name} not found, available: ${this.listSnapshots().join(', ') || 'none'}`)
+    }
+    await this.stop()
+    fs.rmSync(this.dataDir, { recursive: true, force: true })
+    fs.cpSync(path, this.dataDir, { recursive: true })
+    fs.rmSync(join(this.dataDir, snapshotTimeOffset), { force: true })
+    if (fs.existsSync(join(path, snapshotTimeOffset))) {
+      fs.copyFileSync(join(path, snapshotTimeOffset), this.timeOffsetFile)
+    } else {
+      fs.rmSync(this.timeOffsetFile, { force: true })
+    }
+    this.log(`restored snapshot ${name}`)
+    return this.markSnapshot(name, await this.start())
+  }
+
+  // the chain has just been saved to or restored from the snapshot
+  markSnapshot(name, info) {
+    fs.writeFileSync(this.currentSnapshotFile, JSON.stringify({
+      name,
+      headBlockNum: info.head_block_num,
+      timeOffset: this.getTimeOffset()
+    }))
+    return info
+  }
+
+  // true while the running chain is still the one saved to or restored from
+  // the snapshot: the block time did not move and no block produced since
+  // holds a transaction
+  async isAtSnapshot(name) {
+    if (!fs.existsSync(this.currentSnapshotFile) || !(await this.getInfo())) {
+      return false
+    }
+    const current = JSON.parse(fs.readFileSync(this.currentSnapshotFile, 'utf8'))
+    if (current.name !== name || current.timeOffset !== this.getTimeOffset()) {
+      return false
+    }
+
+    // waits for the next block, transactions pushed just before are in it
+    const { head_block_num } = await this.waitUntilReady()
+    if (head_block_num - current.headBlockNum > maxCheckedBlocks) {
+      return false
+    }
+    for (let num = current.headBlockNum + 1; num <= head_block_num; num++) {
+      const block = await this.getBlock(num)
+      if (!block || block.transactions.length > 0) {
+        return false
+      }
+    }
+    return true
+  }
+
+}
+
+// LOCAL_NODE=fresh (default) gives every test suite a new chain,
+// LOCAL_NODE=shared starts the node once and keeps it for the next suites,
+// a suite loading the fixture the chain is still at skips the restore
+const nodeMode = () => process.env.LOCAL_NODE || 'fresh'
+
+let localNode
+
+function getLocalNode() {
+  if (!localNode) {
+    localNode = new LocalNode()
+  }
+  return localNode
+}
+
+module.exports = { LocalNode, getLocalNode, nodeosArgs, nodeMode }
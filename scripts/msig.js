@@ -0,0 +1,172 @@
+const fs = require('fs')
+const { join } = require('path')
+const { api } = require('./eos')
+const { chain, profile } = require('./config')
+const { summarizeAction } = require('./reporter')
+
+const proposalsDir = join(__dirname, '../logs/msig')
+
+const nameRegex = /^[a-z1-5.]{1,12}$/
+
+// proposals stay open this long unless --expire-days is given
+const DEFAULT_EXPIRE_DAYS = 7
+
+function parseLevel(level) {
+  const [actor, permission = 'active'] = level.split('@')
+  if (!nameRegex.test(actor) || !nameRegex.test(permission)) {
+    throw new Error(`Invalid permission level ${level}, expected actor or actor@permission`)
+  }
+  return { actor, permission }
+}
+
+function randomProposalName() {
+  const characters = 'abcdefghijklmnopqrstuvwxyz12345'
+  let name = 'dho'
+  for (let i = 0; i < 9; i++) {
+    name += characters.charAt(Math.floor(Math.random() * characters.length))
+  }
+  return name
+}
+
+// removes --msig <proposer[@permission]> --approvers a,b@owner [--proposal name]
+// [--expire-days n] from the command line arguments
+function parseMsigArgs(argv) {
+  const args = []
+  const options = {}
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i]
+    if (['--msig', '--approvers', '--proposal', '--expire-days'].includes(flag)) {
+      if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+        throw new Error(`${flag} expects a value`)
+      }
+      options[flag.slice(2)] = argv[++i]
+    } else {
+      args.push(flag)
+    }
+  }
+
+  if (options.msig === undefined) {
+    if (Object.keys(options).length > 0) {
+      throw new Error(`${Object.keys(options).map(o => `--${o}`).join(', ')} can only be used with --msig <proposer>`)
+    }
+    return { args, msig: null }
+  }
+
+  if (!options.approvers) {
+    throw new Error('--msig needs --approvers a,b,c')
+  }
+
+  const proposalName = options.proposal || randomProposalName()
+  if (!nameRegex.test(proposalName)) {
+    throw new Error(`Invalid proposal name ${proposalName}`)
+  }
+
+  const expireDays = options['expire-days'] === undefined ? DEFAULT_EXPIRE_DAYS : Number(options['expire-days'])
+  if (!Number.isInteger(expireDays) || expireDays < 1) {
+    throw new Error(`Invalid --expire-days ${options['expire-days']}, expected a positive number of days`)
+  }
+
+  return {
+    args,
+    msig: {
+      proposer: parseLevel(options.msig),
+      approvers: options.approvers.split(',').map(level => parseLevel(level.trim())),
+      proposalName,
+      expireDays
+    }
+  }
+}
+
+// cleos commands to push the proposal and take it through review, approval
+// and execution, the proposer signs with the permission given to --msig
+function getProposalCommands({ proposer, approvers, proposalName }, proposalPath) {
+  const cleos = `cleos -u ${profile.endpoints[0]}`
+  const { actor } = proposer
+  const signer = `${actor}@${proposer.permission}`
+  return {
+    propose: `${cleos} push action eosio.msig propose ${proposalPath} -p ${signer}`,
+    review: `${cleos} multisig review ${actor} ${proposalName}`,
+    approve: approvers.map(({ actor: approver, permission }) =>
+      `${cleos} multisig approve ${actor} ${proposalName} '${JSON.stringify({ actor: approver, permission })}' -p ${approver}@${permission}`
+    ),
+    exec: `${cleos} multisig exec ${actor} ${proposalName} -p ${signer}`
+  }
+}
+
+// the transaction eosio.msig stores, tapos is not checked when it is executed
+async function buildProposal(actions, { proposer, approvers, proposalName, expireDays = DEFAULT_EXPIRE_DAYS }) {
+  const expiration = new Date(Date.now() + expireDays * 24 * 3600 * 1000).toISOString().slice(0, 19)
+
+  const trx = {
+    expiration,
+    ref_block_num: 0,
+    ref_block_prefix: 0,
+    max_net_usage_words: 0,
+    max_cpu_usage_ms: 0,
+    delay_sec: 0,
+    context_free_actions: [],
+    actions: await api.serializeActions(actions),
+    transaction_extensions: []
+  }
+
+  return {
+    serializedTransaction: Buffer.from(api.serializeTransaction(trx)).toString('hex'),
+    propose: {
+      account: 'eosio.msig',
+      name: 'propose',
+      authorization: [proposer],
+      data: {
+        proposer: proposer.actor,
+        proposal_name: proposalName,
+        requested: approvers,
+        trx
+      }
+    }
+  }
+}
+
+// steps are { description, actions } as returned by getPlan, all of them go
+// into a single proposal so they are executed atomically
+async function proposeMsig(steps, msig) {
+  const { proposer, approvers, proposalName } = msig
+  const actions = steps.flatMap(step => step.actions)
+
+  if (actions.length === 0) {
+    console.log('nothing to propose, the chain matches the intended state')
+    return null
+  }
+
+  const { serializedTransaction, propose } = await buildProposal(actions, msig)
+
+  if (!fs.existsSync(proposalsDir)) {
+    fs.mkdirSync(proposalsDir, { recursive: true })
+  }
+  const proposalPath = join(proposalsDir, `${chain}-${proposalName}.json`)
+  fs.writeFileSync(proposalPath, JSON.stringify(propose.data, null, 2))
+
+  const authorizations = [...new Set(actions.flatMap(a => a.authorization.map(({ actor, permission }) => `${actor}@${permission}`)))]
+
+  console.log(`MSIG PROPOSAL ${proposer.actor}/${proposalName} ON ${chain}\n`)
+  steps.forEach(({ description, actions }, i) => {
+    console.log(`${i + 1}. ${description}`)
+    for (const action of actions) {
+      console.log(JSON.stringify(summarizeAction(action), null, 2))
+    }
+  })
+  console.log(`\ntransaction needs ${authorizations.join(', ')}`)
+  console.log(`requested approvals ${approvers.map(({ actor, permission }) => `${actor}@${permission}`).join(', ')}`)
+  console.log(`expires ${propose.data.trx.expiration}, ${serializedTransaction.length / 2} bytes`)
+  console.log(`serialized transaction ${serializedTransaction}\n`)
+
+  const commands = getProposalCommands(msig, proposalPath)
+  console.log(`propose (data written to ${proposalPath}):\n  ${commands.propose}`)
+  console.log(`review:\n  ${commands.review}`)
+  console.log(`approve:\n  ${commands.approve.join('\n  ')}`)
+  console.log(`exec:\n  ${commands.exec}`)
+  console.log('\nno transaction was sent')
+
+  return { propose, serializedTransaction, commands }
+}
+
+module.exports = { parseMsigArgs, buildProposal, getProposalCommands, proposeMsig }
@@ -0,0 +1,163 @@
+const { rpc } = require('./eos')
+const { contractNames, permissionsConfig, isLocalNode } = require('./config')
+const { getPermissionChanges } = require('./permissions')
+
+const auditedContracts = ['referendums', 'proposals', 'token']
+
+// inline actions sent by the contracts and the permission they are sent
+// with, the sender's eosio.code has to satisfy it
+const inlineAuthorizations = [
+  {
+    source: 'VotingPhase::start_impl',
+    sender: 'proposals',
+    authorization: { contract: 'referendums', permission: 'active' },
+    actions: ['referendums::create', 'referendums::start']
+  }
+]
+
+// same limit nodeos applies when resolving nested account permissions
+const MAX_AUTHORITY_DEPTH = 6
+
+function getPermission(accounts, actor, permission) {
+  const account = accounts[actor]
+  return account && account.permissions.find(p => p.perm_name === permission)
+}
+
+// whether the authority of actor@permission is satisfied by provided, only
+// through accounts that were fetched
+function isSatisfiedBy(accounts, { actor, permission }, provided, depth = 0) {
+  if (actor === provided.actor && permission === provided.permission) {
+    return true
+  }
+  const perm = getPermission(accounts, actor, permission)
+  if (!perm || depth >= MAX_AUTHORITY_DEPTH) {
+    return false
+  }
+  const { threshold, accounts: levels } = perm.required_auth
+  const weight = levels
+    .filter(({ permission: level }) => isSatisfiedBy(accounts, level, provided, depth + 1))
+    .reduce((sum, { weight }) => sum + weight, 0)
+  return weight >= threshold
+}
+
+function getLinks({ permissions }) {
+  return permissions.flatMap(({ perm_name, linked_actions = [] }) =>
+    linked_actions.map(({ account, action }) => ({ code: account, action, permission: perm_name }))
+  )
+}
+
+// accounts maps account names to get_account results. Owner keys are how the
+// local node and a freshly created account are controlled, they are only
+// worth a warning on the other chains
+function auditAccounts(accounts, { names = contractNames, desired = permissionsConfig, local = isLocalNode() } = {}) {
+  const findings = []
+
+  for (const account of Object.keys(accounts)) {
+    const owner = getPermission(accounts, account, 'owner')
+    if (owner) {
+      const { threshold, keys } = owner.required_auth
+      for (const { key, weight } of keys) {
+        findings.push({
+          level: local ? 'info' : 'warning',
+          account,
+          message: `key ${key} controls ${account}@owner directly${weight >= threshold ? ', it can sign alone' : ''}`
+        })
+      }
+    }
+
+    const config = desired.find(d => d.account === account)
+    if (!config) {
+      findings.push({ level: 'info', account, message: `${account} is not managed by the chain profile` })
+      continue
+    }
+
+    // states the plan can not reconcile (e.g. a changed parent) are reported,
+    // the rest of the accounts are still audited
+    let changes
+    try {
+      changes = getPermissionChanges(config, accounts[account])
+    } catch (err) {
+      findings.push({ level: 'error', account, message: `chain can not be brought to the profile: ${err.message}` })
+      continue
+    }
+    for (const { description } of changes) {
+      findings.push({ level: 'warning', account, message: `chain differs from the profile, plan would ${description}` })
+    }
+  }
+
+  for (const { source, sender, authorization, actions } of inlineAuthorizations) {
+    const actor = names[authorization.contract]
+    const provided = { actor: names[sender], permission: 'eosio.code' }
+    if (!accounts[actor] || !provided.actor) {
+      continue
+    }
+    if (!isSatisfiedBy(accounts, { actor, permission: authorization.permission }, provided)) {
+      findings.push({
+        level: 'error',
+        account: actor,
+        message: `${actor}@${authorization.permission} is not satisfied by ${provided.actor}@eosio.code, ${source} needs it to send ${actions.join(' and ')}`
+      })
+    }
+  }
+
+  return findings
+}
+
+function renderAuthority({ keys, accounts, waits }, indent) {
+  return [
+    ...keys.map(({ key, weight }) => `${indent}key ${key} (weight ${weight})`),
+    ...accounts.map(({ permission: { actor, permission }, weight }) => `${indent}account ${actor}@${permission} (weight ${weight})`),
+    ...waits.map(({ wait_sec, weight }) => `${indent}wait ${wait_sec}s (weight ${weight})`)
+  ]
+}
+
+function renderPermissionTree(accountInfo, parent = '', indent = '  ') {
+  const links = getLinks(accountInfo)
+  const lines = []
+
+  for (const { perm_name, required_auth } of accountInfo.permissions.filter(p => p.parent === parent)) {
+    lines.push(`${indent}${perm_name} (threshold ${required_auth.threshold})`)
+    lines.push(...renderAuthority(required_auth, `${indent}  `))
+    for (const { code, action } of links.filter(l => l.permission === perm_name)) {
+      lines.push(`${indent}  linked ${code}::${action}`)
+    }
+    lines.push(...renderPermissionTree(accountInfo, perm_name, `${indent}  `))
+  }
+
+  return lines
+}
+
+async function getAuditedAccounts() {
+  const accounts = {}
+  for (const name of auditedContracts) {
+    if (contractNames[name]) {
+      accounts[contractNames[name]] = await rpc.get_account(contractNames[name])
+    }
+  }
+  return accounts
+}
+
+async function auditPermissions() {
+  const accounts = await getAuditedAccounts()
+
+  for (const account of Object.keys(accounts)) {
+    const name = auditedContracts.find(c => contractNames[c] === account)
+    console.log(`${account} (${name})`)
+    renderPermissionTree(accounts[account]).forEach(line => console.log(line))
+    console.log('')
+  }
+
+  const findings = auditAccounts(accounts)
+  findings.forEach(({ level, message }) => console.log(`[${level}] ${message}`))
+
+  // warnings are for review, only errors make the audit fail
+  const count = level => findings.filter(f => f.level === level).length
+  console.log(`\n${count('error')} error(s) and ${count('warning')} warning(s) found`)
+  if (count('error') > 0) {
+    process.exitCode = 1
+  }
+
+  return findings
+}
+
+module.exports = { auditAccounts, auditPermissions, renderPermissionTree }
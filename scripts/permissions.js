@@ -1,231 +1,278 @@
+const { Numeric } = require('eosjs')
 const { transact, rpc } = require('./eos')
-const { permissionsConfig } = require('./config')
+const { permissionsConfig, publicKeys, isLocalNode, devKey } = require('./config')
+const { reportTransaction } = require('./reporter')
 
-async function updateAuth({ account, permission, parent, auth }, { authorization }) {
-  let [actor, perm] = authorization.split('@')
+function systemAction(name, data, { authorization }) {
+  let [actor, permission] = authorization.split('@')
 
-  if ((parent == 'owner' && permission == 'owner') || parent == '') {
-    parent = '.'
+  return {
+    account: 'eosio',
+    name,
+    authorization: [{
+      actor,
+      permission,
+    }],
+    data
   }
+}
 
-  auth.accounts.sort((a, b) => {
-    if (a.permission.actor <= b.permission.actor) {
-      return -1
-    }
-    return 1
-  })
-  let tran = {
-    actions: [
-      {
-        account: 'eosio',
-        name: 'updateauth',
-        authorization: [{
-          actor,
-          permission: perm,
-        }],
-        data: {
-          account,
-          permission,
-          parent,
-          auth
-        },
-      }]
-  }
-
-  return transact({
-    actions: [
-      {
-        account: 'eosio',
-        name: 'updateauth',
-        authorization: [{
-          actor,
-          permission: perm,
-        }],
-        data: {
-          account,
-          permission,
-          parent,
-          auth
-        },
-      }]
-  })
+function updateAuthAction({ account, permission, parent, auth }, { authorization }) {
+  return systemAction('updateauth', { account, permission, parent, auth }, { authorization })
 }
 
-async function linkauth({ account, code, type, requirement }, { authorization }) {
+function deleteAuthAction({ account, permission }, { authorization }) {
+  return systemAction('deleteauth', { account, permission }, { authorization })
+}
 
-  let [actor, permission] = authorization.split('@')
+function linkAuthAction({ account, code, type, requirement }, { authorization }) {
+  return systemAction('linkauth', { account, code, type, requirement }, { authorization })
+}
 
-  return await transact({
-    actions: [{
-      account: 'eosio',
-      name: 'linkauth',
-      authorization: [{
-        actor,
-        permission,
-      }],
-      data: {
-        account,
-        code,
-        type,
-        requirement
-      },
-    }]
-  })
+function unlinkAuthAction({ account, code, type }, { authorization }) {
+  return systemAction('unlinkauth', { account, code, type }, { authorization })
+}
+
+// {publicKey} is the dev key on the local node. Remote active authorities are
+// replaced as a whole with owner authority, so a missing or public key there
+// would hand the contract accounts to anyone
+function resolveKey(key, { local = isLocalNode(), publicKey = publicKeys.active } = {}) {
+  if (key !== '{publicKey}') {
+    return key
+  }
+  if (local) {
+    return publicKey || devKey
+  }
+  if (!publicKey) {
+    throw new Error('PUBLIC_KEY is not set, it is needed to resolve the {publicKey} placeholder of the chain profile')
+  }
+  if (publicKey === devKey) {
+    throw new Error('PUBLIC_KEY is the public dev key, its private key is known to everyone and can not be used outside the local node')
+  }
+  return publicKey
+}
 
+// the chain reports keys in either the legacy EOS or the PUB_K1 format
+const keyBytes = key => {
+  const { type, data } = Numeric.stringToPublicKey(key)
+  return Buffer.from([type, ...data])
 }
 
-async function addActorPermission(target, targetRole, actor, actorRole) {
-  try {
-    const { parent, required_auth: { threshold, waits, keys, accounts } } =
-      (await rpc.get_account(target))
-        .permissions.find(p => p.perm_name == targetRole)
+const normalizeKey = key => Numeric.publicKeyToString(Numeric.stringToPublicKey(key))
+
+// updateauth is rejected unless keys, accounts and waits are sorted the way
+// the chain compares them
+function sortAuthority({ threshold, keys, accounts, waits }) {
+  return {
+    threshold,
+    keys: [...keys].sort((a, b) => Buffer.compare(keyBytes(a.key), keyBytes(b.key))),
+    accounts: [...accounts].sort((a, b) => {
+      const x = a.permission
+      const y = b.permission
+      if (x.actor !== y.actor) return x.actor < y.actor ? -1 : 1
+      if (x.permission !== y.permission) return x.permission < y.permission ? -1 : 1
+      return 0
+    }),
+    waits: [...waits].sort((a, b) => a.wait_sec - b.wait_sec)
+  }
+}
 
-    const existingPermission = accounts.find(({ permission }) =>
-      permission.actor == actor && permission.permission == actorRole
-    )
+// authority as updateauth expects it, from a resolved profile permission
+function toAuthority({ threshold, keys, accounts, waits }) {
+  return sortAuthority({
+    threshold,
+    keys: keys.map(({ key, weight }) => ({ key: resolveKey(key), weight })),
+    accounts: accounts.map(({ actor, weight }) => {
+      const [account, permission] = actor.split('@')
+      return { permission: { actor: account, permission }, weight }
+    }),
+    waits
+  })
+}
 
-    if (existingPermission)
-      return console.log(`permission ${actor}@${actorRole} already exists for ${target}@${targetRole}`)
-
-    const permissions = {
-      account: target,
-      permission: targetRole,
-      parent,
-      auth: {
-        threshold,
-        waits,
-        accounts: [
-          ...accounts,
-          {
-            permission: {
-              actor,
-              permission: actorRole
-            },
-            weight: 1
-          }
-        ],
-        keys: [
-          ...keys
-        ]
-      }
+function sameAuthority(a, b) {
+  const normalize = auth => {
+    const { threshold, keys, accounts, waits } = sortAuthority(auth)
+    return JSON.stringify({
+      threshold,
+      keys: keys.map(({ key, weight }) => ({ key: normalizeKey(key), weight })),
+      accounts: accounts.map(({ permission: { actor, permission }, weight }) => ({ actor, permission, weight })),
+      waits: waits.map(({ wait_sec, weight }) => ({ wait_sec, weight }))
+    })
+  }
+  return normalize(a) === normalize(b)
+}
+
+// accounts that do not exist yet are assumed to have the owner/active
+// permissions newaccount creates for them
+async function getAccountPermissions(account, pendingAccounts = {}) {
+  if (pendingAccounts[account]) {
+    const { publicKey } = pendingAccounts[account]
+    const auth = { threshold: 1, keys: [{ key: publicKey, weight: 1 }], accounts: [], waits: [] }
+    return {
+      permissions: [
+        { perm_name: 'owner', parent: '', required_auth: auth, linked_actions: [] },
+        { perm_name: 'active', parent: 'owner', required_auth: auth, linked_actions: [] }
+      ]
     }
+  }
+  return rpc.get_account(account)
+}
 
-    console.log(permissions)
+// nodes before 2.1 do not report linked actions, null means unknown
+function getLinkedActions({ permissions, linked_actions }) {
+  if (permissions.some(p => p.linked_actions)) {
+    return permissions.flatMap(({ perm_name, linked_actions = [] }) =>
+      linked_actions.map(({ account, action }) => ({ code: account, action, permission: perm_name }))
+    )
+  }
+  if (linked_actions) {
+    return linked_actions.map(({ account, action, permission }) => ({ code: account, action, permission }))
+  }
+  return null
+}
 
-    await updateAuth(permissions, { authorization: `${target}@owner` })
-    // console.log(`permission created on ${target}@${targetRole} for ${actor}@${actorRole}`)
-  } catch (err) {
-    console.error(`failed permission update on ${target} for ${actor}\n* error: ` + err + `\n`)
+function getDepth(name, parents, path = []) {
+  if (name === 'owner' || !parents[name]) {
+    return 0
+  }
+  if (path.includes(name)) {
+    throw new Error(`Permissions ${[...path, name].join(' -> ')} form a cycle`)
   }
+  return getDepth(parents[name], parents, [...path, name]) + 1
 }
 
-async function createKeyPermission(account, role, parentRole = 'active', key) {
-  try {
-    const { permissions } = await rpc.get_account(account)
+// the minimal set of actions that brings an account to the desired state:
+// updateauth parents first, each followed by the linkauth of its actions,
+// then unlinkauth and deleteauth children first. owner and active are never
+// deleted, owner is only updated when the profile declares it. changes
+// sharing a group are meant to be sent in the same transaction
+function getPermissionChanges({ account, permissions, links }, accountInfo) {
+  const authorization = `${account}@owner`
+  const current = {}
+  for (const permission of accountInfo.permissions) {
+    current[permission.perm_name] = permission
+  }
 
-    const perm = permissions.find(p => p.perm_name === role)
+  const desiredParents = {}
+  for (const name of Object.keys(permissions)) {
+    desiredParents[name] = permissions[name].parent
+  }
 
-    if (perm) {
-      const { parent, required_auth } = perm
-      const { keys } = required_auth
+  const linked = getLinkedActions(accountInfo)
+  const changes = []
 
-      if (keys.find(item => item.key === key)) {
-        console.log("- createKeyPermission key already exists " + key)
-        return;
-      }
+  const updates = Object.keys(permissions)
+    .sort((a, b) => getDepth(a, desiredParents) - getDepth(b, desiredParents))
+
+  for (const name of updates) {
+    const { parent } = permissions[name]
+    const existing = current[name]
+    const auth = toAuthority(permissions[name])
+    const group = `${account}@${name}`
+
+    if (existing && existing.parent !== parent) {
+      throw new Error(`The parent of ${account}@${name} can not be changed from ${existing.parent} to ${parent}, delete the permission first`)
+    }
+
+    if (!existing || !sameAuthority(existing.required_auth, auth)) {
+      changes.push({
+        description: `${existing ? 'update' : 'create'} ${account}@${name}`,
+        group,
+        action: updateAuthAction({ account, permission: name, parent, auth }, { authorization })
+      })
     }
 
-    await updateAuth({
-      account,
-      permission: role,
-      parent: parentRole,
-      auth: {
-        threshold: 1,
-        waits: [],
-        accounts: [],
-        keys: [{
-          key,
-          weight: 1
-        }]
+    for (const { code, action } of links.filter(l => l.permission === name)) {
+      const existingLink = linked && linked.find(l => l.code === code && l.action === action)
+      if (!existingLink || existingLink.permission !== name) {
+        changes.push({
+          description: `link ${code}::${action} to ${account}@${name}${linked ? '' : ' (linked actions not reported by this node)'}`,
+          // a link that may already exist fails the whole transaction
+          group: linked ? group : undefined,
+          action: linkAuthAction({ account, code, type: action, requirement: name }, { authorization })
+        })
       }
-    }, { authorization: `${account}@owner` })
-    console.log(`permission setup on ${account}@${role}(/${parentRole}) for ${key}`)
-  } catch (err) {
-    console.error(`failed permission setup\n* error: ` + err + `\n`)
-  }
-}
-
-async function allowAction(account, role, action) {
-  try {
-    await linkauth({
-      account,
-      code: account,
-      type: action,
-      requirement: role
-    }, { authorization: `${account}@owner` })
-    console.log(`linkauth of ${account}@${action} for ${role}`)
-  } catch (err) {
-    let errString = `failed allow action\n* error: ` + err + `\n`
-    if (errString.includes("Attempting to update required authority, but new requirement is same as old")) {
-      console.log(`linkauth of ${account}@${action} for ${role} exists`)
-    } else {
-      console.error(errString)
     }
   }
-}
-
-const isActorPermission = permission => permission.actor && !permission.key
-const isKeyPermission = permission => permission.key && !permission.actor
-const isActionPermission = permission => permission.action
 
-async function updatePermissions() {
-  for (const permission of permissionsConfig) {
-    if (isActorPermission(permission)) {
-
-      const { target, actor } = permission
-      const [targetAccount, targetRole] = target.split('@')
-      const [actorAccount, actorRole] = actor.split('@')
-      await addActorPermission(targetAccount, targetRole, actorAccount, actorRole)
+  for (const { code, action, permission } of linked || []) {
+    if (!links.find(l => l.code === code && l.action === action)) {
+      changes.push({
+        description: `unlink ${code}::${action} from ${account}@${permission}`,
+        action: unlinkAuthAction({ account, code, type: action }, { authorization })
+      })
+    }
+  }
 
-    } else if (isKeyPermission(permission)) {
+  const currentParents = {}
+  for (const name of Object.keys(current)) {
+    currentParents[name] = current[name].parent
+  }
 
-      const { target, parent, key } = permission
-      const [targetAccount, targetRole] = target.split('@')
-      await createKeyPermission(targetAccount, targetRole, parent, key)
+  const stale = Object.keys(current)
+    .filter(name => !['owner', 'active'].includes(name) && !permissions[name])
+    .sort((a, b) => getDepth(b, currentParents) - getDepth(a, currentParents))
 
-    } else if (isActionPermission(permission)) {
+  for (const name of stale) {
+    changes.push({
+      description: `delete ${account}@${name}`,
+      action: deleteAuthAction({ account, permission: name }, { authorization })
+    })
+  }
 
-      const { target, action } = permission
-      const [targetAccount, targetRole] = target.split('@')
-      await allowAction(targetAccount, targetRole, action)
+  return changes
+}
 
+// merges consecutive changes of the same group into one transaction, so a
+// custom permission is created together with its links
+function groupChanges(changes) {
+  const steps = []
+  for (const { description, group, action } of changes) {
+    const last = steps[steps.length - 1]
+    if (group && last && last.group === group) {
+      last.description += `, ${description}`
+      last.actions.push(action)
+    } else {
+      steps.push({ description, group, actions: [action] })
     }
   }
+  return steps.map(({ description, actions }) => ({ description, actions }))
 }
 
-async function updatePermissionsSilent() {
-  for (const permission of permissionsConfig) {
-    if (isActorPermission(permission)) {
-
-      const { target, actor } = permission
-      const [targetAccount, targetRole] = target.split('@')
-      const [actorAccount, actorRole] = actor.split('@')
-      await addActorPermission(targetAccount, targetRole, actorAccount, actorRole)
+// transactions updatePermissions would send, without sending them
+async function getPermissionActions(pendingAccounts = {}) {
+  const changes = []
 
-    } else if (isKeyPermission(permission)) {
+  for (const desired of permissionsConfig) {
+    const accountInfo = await getAccountPermissions(desired.account, pendingAccounts)
+    changes.push(...getPermissionChanges(desired, accountInfo))
+  }
 
-      const { target, parent, key } = permission
-      const [targetAccount, targetRole] = target.split('@')
-      await createKeyPermission(targetAccount, targetRole, parent, key)
+  return groupChanges(changes)
+}
 
-    } else if (isActionPermission(permission)) {
+async function updatePermissions() {
+  const steps = await getPermissionActions()
 
-      const { target, action } = permission
-      const [targetAccount, targetRole] = target.split('@')
-      await allowAction(targetAccount, targetRole, action)
+  if (steps.length === 0) {
+    console.log('permissions already match the chain profile')
+    return
+  }
 
+  for (const { description, actions } of steps) {
+    try {
+      const result = await transact({ actions })
+      reportTransaction(result, description)
+    } catch (err) {
+      // links are sent on their own when the node does not report them
+      if (actions.length === 1 && `${err}`.includes('new requirement is same as old')) {
+        console.log(`${description}: already linked`)
+        continue
+      }
+      throw new Error(`Failed to ${description}: ${err.message}`)
     }
   }
 }
 
-module.exports = { updatePermissions, updatePermissionsSilent }
+module.exports = { updatePermissions, getPermissionActions, getPermissionChanges, groupChanges, resolveKey }
@@ -0,0 +1,102 @@
+const { contracts, publicKeys, owner, chain } = require('./config')
+const deploy = require('./deploy')
+const permissions = require('./permissions')
+const contractSettings = require('./contract-settings')
+const { summarizeAction } = require('./reporter')
+
+async function getContractSteps(contract, pendingAccounts, undeployed) {
+  const steps = []
+
+  if (!(await deploy.isAccountCreated(contract.nameOnChain))) {
+    pendingAccounts[contract.nameOnChain] = { publicKey: publicKeys.active }
+    steps.push({
+      description: `create account ${contract.nameOnChain}`,
+      actions: deploy.createAccountActions({
+        account: contract.nameOnChain,
+        publicKey: publicKeys.active,
+        stakes: contract.stakes,
+        creator: owner
+      })
+    })
+  }
+
+  const { wasm, abi, localCodeHash, chainCodeHash, codeChanged, abiChanged } = await deploy.getDeploymentChanges(contract)
+  const authorization = `${contract.nameOnChain}@active`
+
+  if (/^0+$/.test(chainCodeHash)) {
+    undeployed.add(contract.nameOnChain)
+  }
+
+  if (codeChanged) {
+    steps.push({
+      description: `set code on ${contract.nameOnChain} (${chainCodeHash} -> ${localCodeHash})`,
+      actions: [deploy.setCodeAction({ account: contract.nameOnChain, code: wasm, vmtype: 0, vmversion: 0 }, { authorization })]
+    })
+  }
+
+  if (abiChanged) {
+    steps.push({
+      description: `set abi on ${contract.nameOnChain}`,
+      actions: [deploy.setAbiAction({ account: contract.nameOnChain, abi }, { authorization })]
+    })
+  }
+
+  return steps
+}
+
+// diffs the chain against the intended state, returns the steps init (or run
+// when a contract name is given) would take
+async function getPlan(contractName) {
+  const targets = contractName ? contracts.filter(c => c.name == contractName) : contracts
+  if (targets.length === 0) {
+    throw new Error(`contract ${contractName} not found`)
+  }
+
+  const pendingAccounts = {}
+  const undeployed = new Set()
+  const steps = []
+
+  for (const contract of targets) {
+    steps.push(...await getContractSteps(contract, pendingAccounts, undeployed))
+  }
+
+  if (contractName) {
+    return steps
+  }
+
+  const toStep = ({ description, action }) => ({ description, actions: [action] })
+
+  steps.push(...await permissions.getPermissionActions(pendingAccounts))
+
+  const proposals = contracts.find(c => c.name === 'proposals')
+  const deployed = !!proposals && !undeployed.has(proposals.nameOnChain)
+  steps.push(...(await contractSettings.getConfigChanges({ deployed })).map(toStep))
+  steps.push(...(await contractSettings.getPhasesChanges({ deployed })).map(toStep))
+
+  return steps
+}
+
+async function plan(contractName) {
+  console.log(`PLAN FOR ${chain}${contractName ? ` (${contractName})` : ''}\n`)
+  console.log('using the artifacts already in compiled/, compile first to plan against fresh code\n')
+
+  const steps = await getPlan(contractName)
+
+  if (steps.length === 0) {
+    console.log('nothing to do, the chain matches the intended state')
+    return steps
+  }
+
+  steps.forEach(({ description, actions }, i) => {
+    console.log(`${i + 1}. ${description}`)
+    for (const action of actions) {
+      console.log(JSON.stringify(summarizeAction(action), null, 2))
+    }
+    console.log('')
+  })
+
+  console.log(`${steps.length} step(s), no transaction was sent`)
+  return steps
+}
+
+module.exports = { getPlan, plan }
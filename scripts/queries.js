@@ -0,0 +1,236 @@
+const { Serialize } = require('eosjs')
+const { rpc } = require('./eos')
+const { contractNames } = require('./config')
+const { decodeAttributes } = require('./variant')
+
+const MAX_UINT64 = (1n << 64n) - 1n
+
+const referendumKeyRegex = /^referendum_id_phase_(.+)$/
+
+// tables declared in include/*.hpp, secondary indexes are listed in the
+// order they appear in the multi_index definition with the types of the high
+// and low parts of their uint128_t key
+const tables = {
+  proposals: {
+    contract: 'proposals',
+    table: 'proposals',
+    indexes: {
+      bystatusid: ['name', 'uint64'],
+      bystatustype: ['name', 'uint64'],
+      byprntstat: ['uint64', 'name'],
+      byprntphse: ['uint64', 'name'],
+      byprnttype: ['uint64', 'name']
+    }
+  },
+  phasesconf: {
+    contract: 'proposals',
+    table: 'phasesconf',
+    indexes: {}
+  },
+  config: {
+    contract: 'proposals',
+    table: 'config',
+    indexes: {}
+  },
+  referendums: {
+    contract: 'referendums',
+    table: 'referendums',
+    indexes: {}
+  },
+  votes: {
+    contract: 'referendums',
+    table: 'votes',
+    indexes: {}
+  }
+}
+
+function nameToValue (name) {
+  const buffer = new Serialize.SerialBuffer()
+  buffer.pushName(name)
+  return Buffer.from(buffer.asUint8Array()).readBigUInt64LE()
+}
+
+// strings of a name part are names, even when made of digits like 12345,
+// numbers are taken as the raw value, e.g. the bounds of a range
+function toUint64 (value, type) {
+  return type === 'name' && typeof value === 'string'
+    ? nameToValue(value)
+    : BigInt(value)
+}
+
+// same layout as the uint128_t keys built in include/common/tables/proposals.hpp,
+// types are the declared types of the high and low parts
+function encodeUint128 (high, low, [highType, lowType] = ['uint64', 'uint64']) {
+  return ((toUint64(high, highType) << 64n) + toUint64(low, lowType)).toString()
+}
+
+function getIndexTypes (tableName, index) {
+  const { indexes } = tables[tableName]
+  if (!indexes[index]) {
+    throw new Error(`Unknown index ${index} for table ${tableName}, expected one of: ${Object.keys(indexes).join(', ')}`)
+  }
+  return indexes[index]
+}
+
+// the key of a secondary index encoded from its declared key types
+function encodeIndexKey (tableName, index, high, low) {
+  return encodeUint128(high, low, getIndexTypes(tableName, index))
+}
+
+function getIndexPosition (tableName, index) {
+  if (!index) return undefined
+
+  getIndexTypes(tableName, index)
+  const position = Object.keys(tables[tableName].indexes).indexOf(index)
+
+  // index position 1 is the primary key
+  return position + 2
+}
+
+async function queryTable (tableName, {
+  scope,
+  index,
+  lowerBound,
+  upperBound,
+  limit,
+  reverse = false,
+  pageSize = 100
+} = {}) {
+  const definition = tables[tableName]
+  if (!definition) {
+    throw new Error(`Unknown table ${tableName}`)
+  }
+
+  const code = contractNames[definition.contract]
+  const indexPosition = getIndexPosition(tableName, index)
+
+  const rows = []
+  let bound = reverse ? upperBound : lowerBound
+
+  while (true) {
+    const res = await rpc.get_table_rows({
+      code,
+      scope: scope === undefined ? code : scope,
+      table: definition.table,
+      json: true,
+      index_position: indexPosition,
+      key_type: indexPosition ? 'i128' : undefined,
+      lower_bound: reverse ? lowerBound : bound,
+      upper_bound: reverse ? bound : upperBound,
+      limit: limit ? Math.min(pageSize, limit - rows.length) : pageSize,
+      reverse
+    })
+
+    rows.push(...res.rows)
+
+    if (!res.more || !res.next_key || (limit && rows.length >= limit)) {
+      break
+    }
+    bound = res.next_key
+  }
+
+  return rows
+}
+
+// keys written by the contract into special_attributes, see
+// VotingPhase::get_referendum_key and the proposal handlers in src/proposals
+function decodeProposal (row) {
+  const attributes = decodeAttributes(row.special_attributes)
+
+  const referendumIds = {}
+  for (const key of Object.keys(attributes)) {
+    const match = key.match(referendumKeyRegex)
+    if (match) {
+      referendumIds[match[1]] = attributes[key]
+    }
+  }
+
+  return {
+    ...row,
+    attributes,
+    budget: attributes.budget,
+    days: attributes.days,
+    referendumIds
+  }
+}
+
+async function getProposals (options = {}) {
+  return (await queryTable('proposals', options)).map(decodeProposal)
+}
+
+async function getProposal (proposalId) {
+  const [proposal] = await getProposals({
+    lowerBound: proposalId,
+    upperBound: proposalId,
+    limit: 1
+  })
+  return proposal
+}
+
+async function getProposalsByStatus (status) {
+  return getProposals({
+    index: 'bystatusid',
+    lowerBound: encodeIndexKey('proposals', 'bystatusid', status, 0),
+    upperBound: encodeIndexKey('proposals', 'bystatusid', status, MAX_UINT64)
+  })
+}
+
+async function getProposalsByType (type) {
+  return getProposals({
+    index: 'bystatustype',
+    lowerBound: encodeIndexKey('proposals', 'bystatustype', type, 0),
+    upperBound: encodeIndexKey('proposals', 'bystatustype', type, MAX_UINT64)
+  })
+}
+
+async function getChildProposals (parent, { status, currentPhase, type } = {}) {
+  const filters = [['byprntstat', status], ['byprntphse', currentPhase], ['byprnttype', type]]
+  const [index, value] = filters.find(([_, v]) => v !== undefined) || ['byprntstat']
+
+  return getProposals({
+    index,
+    lowerBound: encodeIndexKey('proposals', index, parent, value === undefined ? 0 : value),
+    upperBound: encodeIndexKey('proposals', index, parent, value === undefined ? MAX_UINT64 : value)
+  })
+}
+
+async function getPhasesConfig (type) {
+  if (type === undefined) {
+    return queryTable('phasesconf')
+  }
+  const key = nameToValue(type).toString()
+  const [config] = await queryTable('phasesconf', {
+    lowerBound: key,
+    upperBound: key,
+    limit: 1
+  })
+  return config
+}
+
+async function getConfig (scope) {
+  return queryTable('config', { scope })
+}
+
+async function getReferendums (options = {}) {
+  return queryTable('referendums', options)
+}
+
+async function getReferendum (referendumId) {
+  const [referendum] = await queryTable('referendums', {
+    lowerBound: referendumId,
+    upperBound: referendumId,
+    limit: 1
+  })
+  return referendum
+}
+
+async function getVotes (referendumId) {
+  return queryTable('votes', { scope: referendumId })
+}
+
+module.exports = {
+  tables, nameToValue, encodeUint128, encodeIndexKey, queryTable, decodeProposal,
+  getProposals, getProposal, getProposalsByStatus, getProposalsByType, getChildProposals,
+  getPhasesConfig, getConfig,
+  getReferendums, getReferendum, getVotes
+}
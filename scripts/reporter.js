@@ -0,0 +1,90 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const { join } = require('path')
+const { chain } = require('./config')
+
+const logsDir = join(__dirname, '../logs/deployments')
+
+// wasm and abi hex strings are too long to be printed or logged, keep their
+// size and hash instead
+function summarizeAction({ account, name, authorization, data }) {
+  const summary = { ...data }
+  if (account === 'eosio') {
+    for (const field of ['code', 'abi']) {
+      if (typeof summary[field] === 'string') {
+        const bytes = Buffer.from(summary[field], 'hex')
+        summary[field] = `<${bytes.length} bytes, sha256 ${crypto.createHash('sha256').update(bytes).digest('hex')}>`
+      }
+    }
+  }
+  return {
+    account,
+    name,
+    authorization: authorization.map(({ actor, permission }) => `${actor}@${permission}`).join(', '),
+    data: summary
+  }
+}
+
+function flattenTraces(traces = []) {
+  const flat = []
+  for (const trace of traces) {
+    flat.push(trace)
+    flat.push(...flattenTraces(trace.inline_traces))
+  }
+  return flat
+}
+
+function getTransactionSummary(result, description) {
+  const { transaction_id, processed = {} } = result
+  const { block_num, block_time, receipt = {}, action_traces } = processed
+
+  return {
+    time: new Date().toISOString(),
+    chain,
+    description,
+    transaction_id,
+    block_num,
+    block_time,
+    status: receipt.status,
+    cpu_usage_us: receipt.cpu_usage_us,
+    net_usage_words: receipt.net_usage_words,
+    actions: flattenTraces(action_traces).map(trace => ({
+      ...summarizeAction(trace.act),
+      receiver: trace.receiver,
+      console: trace.console || undefined
+    }))
+  }
+}
+
+function writeLog(entry) {
+  if (!fs.existsSync(logsDir)) {
+    fs.mkdirSync(logsDir, { recursive: true })
+  }
+  fs.appendFileSync(join(logsDir, `${chain}.jsonl`), JSON.stringify(entry) + '\n')
+}
+
+function printSummary(summary) {
+  console.log(`${summary.description}`)
+  console.log(`  tx ${summary.transaction_id} in block ${summary.block_num} (${summary.status}, cpu ${summary.cpu_usage_us}us, net ${summary.net_usage_words} words)`)
+  for (const { account, name, authorization, receiver, console: output } of summary.actions) {
+    const notified = receiver && receiver !== account ? ` -> ${receiver}` : ''
+    console.log(`  ${account}::${name} [${authorization}]${notified}`)
+    if (output) {
+      console.log(output.trim().split('\n').map(line => `    > ${line}`).join('\n'))
+    }
+  }
+}
+
+// prints a readable summary of a pushed transaction and appends it to
+// logs/deployments/<chain>.jsonl
+function reportTransaction(result, description) {
+  if (!result || !result.transaction_id) {
+    return result
+  }
+  const summary = getTransactionSummary(result, description)
+  printSummary(summary)
+  writeLog(summary)
+  return result
+}
+
+module.exports = { reportTransaction, summarizeAction, getTransactionSummary }
@@ -0,0 +1,181 @@
+const crypto = require('crypto')
+const { JsonRpc } = require('eosjs')
+const { isTransientError, isDuplicateTransaction } = require('./eosio-errors')
+
+const pushPaths = ['/v1/chain/push_transaction', '/v1/chain/send_transaction', '/v1/chain/send_transaction2']
+
+// states of get_transaction_status for a transaction the chain already has
+const knownTransactionStates = ['LOCALLY_APPLIED', 'IN_BLOCK', 'IRREVERSIBLE']
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function getTransactionId({ packed_trx, transaction }) {
+  const packed = packed_trx || (transaction && transaction.packed_trx)
+  return packed ? crypto.createHash('sha256').update(Buffer.from(packed, 'hex')).digest('hex') : null
+}
+
+// JsonRpc over several endpoints of the same chain. The endpoint used is the
+// first one whose head block is less than maxLagSeconds behind, transient
+// errors are retried on the next healthy endpoint with exponential backoff
+class FailoverJsonRpc extends JsonRpc {
+
+  constructor(endpoints, {
+    fetch,
+    chainId,
+    maxLagSeconds = 30,
+    retries = 3,
+    backoffMs = 500,
+    healthCheckIntervalMs = 60000,
+    log = console.warn
+  } = {}) {
+    super(endpoints[0], { fetch })
+    this.endpoints = endpoints
+    this.chainId = chainId
+    this.maxLagSeconds = maxLagSeconds
+    this.retries = retries
+    this.backoffMs = backoffMs
+    this.healthCheckIntervalMs = healthCheckIntervalMs
+    this.log = log
+    this.current = null
+    this.checkedAt = 0
+    this.unhealthy = new Set()
+  }
+
+  async fetchFrom(endpoint, path, body) {
+    return JsonRpc.prototype.fetch.call({ endpoint, fetchBuiltin: this.fetchBuiltin }, path, body)
+  }
+
+  // head block lag in seconds, null when the endpoint is unreachable or
+  // serves another chain
+  async checkEndpoint(endpoint) {
+    try {
+      const { head_block_time, chain_id } = await this.fetchFrom(endpoint, '/v1/chain/get_info', {})
+      if (this.chainId && chain_id !== this.chainId) {
+        this.log(`${endpoint} serves chain ${chain_id}, expected ${this.chainId}`)
+        return null
+      }
+      return (Date.now() - new Date(`${head_block_time}Z`).getTime()) / 1000
+    } catch (err) {
+      return null
+    }
+  }
+
+  async selectEndpoint() {
+    const lags = []
+    for (const endpoint of this.endpoints.filter(e => !this.unhealthy.has(e))) {
+      const lag = await this.checkEndpoint(endpoint)
+      if (lag !== null && lag <= this.maxLagSeconds) {
+        return endpoint
+      }
+      if (lag !== null) {
+        lags.push({ endpoint, lag })
+      }
+    }
+
+    // a lagging node is still better than none, e.g. a paused local node
+    if (lags.length > 0) {
+      const { endpoint, lag } = lags.sort((a, b) => a.lag - b.lag)[0]
+      this.log(`no endpoint within ${this.maxLagSeconds}s of the head block, using ${endpoint} (${Math.round(lag)}s behind)`)
+      return endpoint
+    }
+
+    if (this.unhealthy.size > 0) {
+      this.unhealthy.clear()
+      return this.selectEndpoint()
+    }
+
+    throw new Error(`None of the endpoints ${this.endpoints.join(', ')} is reachable`)
+  }
+
+  async getEndpoint() {
+    if (Date.now() - this.checkedAt > this.healthCheckIntervalMs) {
+      this.unhealthy.clear()
+      this.current = null
+    }
+    if (!this.current) {
+      this.current = await this.selectEndpoint()
+      this.endpoint = this.current
+      this.checkedAt = Date.now()
+    }
+    return this.current
+  }
+
+  markUnhealthy(endpoint) {
+    this.unhealthy.add(endpoint)
+    this.current = null
+  }
+
+  // whether a transaction whose push failed midway reached the chain anyway
+  async findTransaction(endpoint, id) {
+    try {
+      const { state, block_number } = await this.fetchFrom(endpoint, '/v1/chain/get_transaction_status', { id })
+      if (knownTransactionStates.includes(state)) {
+        return { transaction_id: id, processed: { block_num: block_number } }
+      }
+      return null
+    } catch (err) {
+      // nodes without the transaction status api
+    }
+    try {
+      const { id: found, block_num } = await this.fetchFrom(endpoint, '/v1/history/get_transaction', { id })
+      return found ? { transaction_id: id, processed: { block_num } } : null
+    } catch (err) {
+      return null
+    }
+  }
+
+  async backoff(attempt, message) {
+    if (attempt < this.retries) {
+      const delay = this.backoffMs * 2 ** attempt
+      this.log(`${message}, retrying in ${delay}ms`)
+      await sleep(delay)
+    }
+  }
+
+  async fetch(path, body) {
+    const transactionId = pushPaths.includes(path) ? getTransactionId(body) : null
+    let lastError
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      let endpoint
+      try {
+        endpoint = await this.getEndpoint()
+      } catch (err) {
+        lastError = err
+        await this.backoff(attempt, err.message)
+        continue
+      }
+
+      if (transactionId && attempt > 0) {
+        const found = await this.findTransaction(endpoint, transactionId)
+        if (found) {
+          this.log(`transaction ${transactionId} was already accepted, not sending it again`)
+          return found
+        }
+      }
+
+      try {
+        return await this.fetchFrom(endpoint, path, body)
+      } catch (err) {
+        // the first attempt went through even though its response was lost
+        if (transactionId && attempt > 0 && isDuplicateTransaction(err)) {
+          return { transaction_id: transactionId, processed: {} }
+        }
+        if (!isTransientError(err)) {
+          throw err
+        }
+
+        lastError = err
+        this.markUnhealthy(endpoint)
+        await this.backoff(attempt, `${path} failed on ${endpoint} (${err.message})`)
+      }
+    }
+
+    throw lastError
+  }
+
+}
+
+module.exports = { FailoverJsonRpc, getTransactionId }
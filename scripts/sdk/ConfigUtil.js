@@ -1,4 +1,7 @@
-const { join } = require('path')
+const { chain, profile } = require('../config')
+const { getConfigPaths, validateParams, validatePhases, assertValid } = require('../contract-config')
+
+const configPaths = getConfigPaths(chain)
 
 class ConfigUtil {
 
@@ -56,8 +59,9 @@ class ConfigPhasesBuilder extends ConfigBuilder {
     const conf = this._getConfig({
       path,
       config,
-      defaultPath: join(__dirname, '../config/phasesConfig.json')
+      defaultPath: configPaths.phases
     })
+    assertValid(validatePhases(conf), config ? 'phases config' : path || configPaths.phases)
 
     const keys = Object.keys(conf)
     for (const key of keys) {
@@ -90,8 +94,9 @@ class ConfigGeneralBuilder extends ConfigBuilder {
     const conf = this._getConfig({
       path,
       config,
-      defaultPath: join(__dirname, '../config/params.json')
+      defaultPath: configPaths.params
     })
+    assertValid(validateParams(conf, profile), config ? 'params config' : path || configPaths.params)
 
     console.log('config', conf)
 
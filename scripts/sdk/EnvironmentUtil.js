@@ -0,0 +1,55 @@
+const { createAccount, deployContract } = require('../deploy')
+const { updatePermissions } = require('../permissions')
+const { accountExists } = require('../eosio-errors')
+const { devKey } = require('../config')
+const { getLocalNode, nodeMode } = require('../local-node')
+
+
+class EnvironmentUtil {
+
+  // resolves once the node produces blocks, with a new chain unless
+  // LOCAL_NODE=shared
+  static async initNode() {
+    const node = getLocalNode()
+    if (nodeMode() === 'shared') {
+      await node.start()
+    } else {
+      await node.reset()
+    }
+  }
+
+  // creates the account of the contract unless it exists and deploys the
+  // compiled contract, tests use the dev key and eosio as creator
+  static async deployContract(contract, { publicKey = devKey, stakes = {}, creator = 'eosio' } = {}) {
+    try {
+      await createAccount({
+        account: contract.nameOnChain,
+        publicKey,
+        stakes,
+        creator
+      })
+    } catch (err) {
+      accountExists(err)
+    }
+    await deployContract(contract)
+  }
+
+  static async deployContracts(contracts, options) {
+    for (const contract of contracts) {
+      await EnvironmentUtil.deployContract(contract, options)
+    }
+  }
+
+  static async updatePermissions() {
+    await updatePermissions()
+  }
+
+  static async killNode() {
+    if (nodeMode() !== 'shared') {
+      await getLocalNode().stop()
+    }
+  }
+
+}
+
+module.exports = { EnvironmentUtil }
@@ -1,11 +1,14 @@
 const { createRandomAccount, formatTimePoint, Asset } = require('../eosio-util')
+const { contractConstants } = require('../contract-constants')
 const { TokenUtil } = require('./TokenUtil')
 
+const { proposals } = contractConstants
+
 const ProposalConstants = {
-  TypeMain: 'main',
-  TypeAmendment: 'amendment',
-  TypeExtendDebate: 'extenddebate',
-  TypeShortenDebate: 'shortndebate'
+  TypeMain: proposals.type_main,
+  TypeAmendment: proposals.type_amendment,
+  TypeExtendDebate: proposals.type_extend_debate,
+  TypeShortenDebate: proposals.type_shorten_debate
 }
 
 class Proposal {
@@ -1,9 +1,13 @@
-const { createRandomAccount } = require('../eosio-util')
+const { createRandomAccount, Asset } = require('../eosio-util')
+const { contractConstants } = require('../contract-constants')
+const { TokenUtil } = require('./TokenUtil')
+
+const { referendums } = contractConstants
 
 const ReferendumConstants = {
-  VoteFavour: 'yes',
-  VoteAgainst: 'no',
-  VoteAbstain: 'abstain'
+  VoteFavour: referendums.vote_favour,
+  VoteAgainst: referendums.vote_against,
+  VoteAbstain: referendums.vote_abstain
 }
 
 class Referendum {
@@ -14,6 +18,7 @@ class Referendum {
     startDate,
     durationInDays,
     endDate,
+    quorum,
     quorumConfig,
     majorityConfig
   ) {
@@ -23,6 +28,7 @@ class Referendum {
       startDate,
       endDate,
       durationInDays,
+      quorum,
       quorumConfig,
       majorityConfig
     }
@@ -42,14 +48,15 @@ class Referendum {
       endDate.setDate(this.params.startDate.getDate() + this.params.durationInDays)
     }
 
-    return [
-      this.params.referendumId,
-      this.params.creator,
-      this._formatTimePoint(this.params.startDate),
-      this._formatTimePoint(endDate),
-      this.params.quorumConfig,
-      this.params.majorityConfig
-    ]
+    return {
+      referendum_id: this.params.referendumId,
+      creator: this.params.creator,
+      start_date: this._formatTimePoint(this.params.startDate),
+      end_date: this._formatTimePoint(endDate),
+      quorum: this.params.quorum,
+      quorum_config: this.params.quorumConfig,
+      majority_config: this.params.majorityConfig
+    }
   }
 
 }
@@ -62,6 +69,7 @@ class ReferendumsFactory {
     startDate,
     durationInDays,
     endDate,
+    quorum,
     quorumConfig,
     majorityConfig
   }) {
@@ -71,6 +79,7 @@ class ReferendumsFactory {
       startDate,
       durationInDays,
       endDate,
+      quorum,
       quorumConfig,
       majorityConfig
     )
@@ -82,6 +91,7 @@ class ReferendumsFactory {
     startDate,
     durationInDays,
     endDate,
+    quorum,
     quorumConfig,
     majorityConfig
   }) {
@@ -98,6 +108,10 @@ class ReferendumsFactory {
 
     durationInDays = isFinite(durationInDays) ? durationInDays : 10
 
+    if (!quorum) {
+      quorum = (new Asset(0, TokenUtil.tokenCode, TokenUtil.tokenPrecision)).toString()
+    }
+
     if (!quorumConfig) {
       quorumConfig = [{ start_day: 0, percentage: 5500 }, { start_day: 10, percentage: 2532 }]
     }
@@ -112,6 +126,7 @@ class ReferendumsFactory {
       startDate,
       durationInDays,
       endDate,
+      quorum,
       quorumConfig,
       majorityConfig
     })
@@ -119,11 +134,11 @@ class ReferendumsFactory {
 
   static Status () {
     return {
-      created: 'created',
-      started: 'started',
-      hold: 'hold',
-      accepted: 'approved',
-      rejected: 'rejected'
+      created: referendums.status_created,
+      started: referendums.status_started,
+      hold: referendums.status_hold,
+      accepted: referendums.status_accepted,
+      rejected: referendums.status_rejected
     }
   }
 
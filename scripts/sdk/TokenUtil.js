@@ -1,9 +1,13 @@
-const { assertError } = require('../../scripts/eosio-errors')
+const { assertError } = require('../eosio-errors')
+const { AssetSymbol } = require('../asset')
+const { profile } = require('../config')
+
+const tokenSymbol = AssetSymbol.fromString(profile.token.symbol)
 
 class TokenUtil {
 
-  static tokenCode = 'EOS'
-  static tokenPrecision = 4
+  static tokenCode = tokenSymbol.code
+  static tokenPrecision = tokenSymbol.precision
 
   static async create({ issuer, maxSupply, contractAccount, contract }) {
     try {
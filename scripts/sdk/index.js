@@ -0,0 +1,15 @@
+// factories, config builders and environment management shared by the
+// commands in scripts and the tests
+const { ConfigUtil, ConfigEngineer, ConfigPhasesBuilder, ConfigGeneralBuilder } = require('./ConfigUtil')
+const { EnvironmentUtil } = require('./EnvironmentUtil')
+const { Proposal, ProposalsFactory, ProposalConstants } = require('./ProposalsUtil')
+const { Referendum, ReferendumsFactory, ReferendumConstants } = require('./ReferendumsUtil')
+const { TokenUtil } = require('./TokenUtil')
+
+module.exports = {
+  ConfigUtil, ConfigEngineer, ConfigPhasesBuilder, ConfigGeneralBuilder,
+  EnvironmentUtil,
+  Proposal, ProposalsFactory, ProposalConstants,
+  Referendum, ReferendumsFactory, ReferendumConstants,
+  TokenUtil
+}
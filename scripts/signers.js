@@ -0,0 +1,300 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const { join, dirname } = require('path')
+const fetch = require('node-fetch')
+const { JsSignatureProvider, PrivateKey, digestFromSerializedData } = require('eosjs/dist/eosjs-jssig')
+const { convertLegacyPublicKey } = require('eosjs/dist/eosjs-numeric')
+
+// SIGNER selects how transactions are signed:
+//   env       PRIVATE_KEY from .env (default)
+//   keystore  keys encrypted in KEYSTORE_PATH, unlocked with KEYSTORE_PASSPHRASE
+//             or a prompt
+//   keosd     a keosd compatible wallet at KEOSD_URL
+//   offline   signing requests are written to OFFLINE_DIR and pushed once
+//             they are signed elsewhere
+const signers = ['env', 'keystore', 'keosd', 'offline']
+
+const defaultKeystorePath = join(__dirname, '../keystore.json')
+const defaultOfflineDir = join(__dirname, '../logs/offline')
+
+// requests signed offline have to outlive the trip to the signing machine,
+// 3600s is the max_transaction_lifetime of nodeos
+const expireSeconds = { online: 30, offline: 3600 }
+
+const KEYSTORE_VERSION = 1
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS)
+}
+
+function toPublicKey(privateKey) {
+  return PrivateKey.fromString(privateKey).getPublicKey().toString()
+}
+
+// every key is encrypted on its own with aes-256-gcm, the public key stays
+// readable so a keystore can be listed without the passphrase
+function encryptKey(privateKey, passphrase) {
+  const salt = crypto.randomBytes(16)
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv)
+  const ciphertext = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()])
+
+  return {
+    publicKey: toPublicKey(privateKey),
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  }
+}
+
+function decryptKey({ publicKey, salt, iv, ciphertext, tag }, passphrase) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, Buffer.from(salt, 'hex')), Buffer.from(iv, 'hex'))
+  decipher.setAuthTag(Buffer.from(tag, 'hex'))
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8')
+  } catch (err) {
+    throw new Error(`Can not decrypt the key for ${publicKey}, wrong passphrase or corrupted keystore`)
+  }
+}
+
+function readKeystore(path = defaultKeystorePath) {
+  if (!fs.existsSync(path)) {
+    return { version: KEYSTORE_VERSION, keys: [] }
+  }
+  const keystore = JSON.parse(fs.readFileSync(path))
+  if (keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version ${keystore.version} in ${path}`)
+  }
+  return keystore
+}
+
+function addKeyToKeystore(privateKey, passphrase, path = defaultKeystorePath) {
+  const keystore = readKeystore(path)
+  const entry = encryptKey(privateKey, passphrase)
+
+  keystore.keys = keystore.keys.filter(k => k.publicKey !== entry.publicKey).concat(entry)
+  fs.writeFileSync(path, JSON.stringify(keystore, null, 2), { mode: 0o600 })
+
+  return entry.publicKey
+}
+
+class KeystoreSignatureProvider {
+
+  // getPassphrase is only called the first time a key is needed
+  constructor({ path = defaultKeystorePath, getPassphrase }) {
+    this.path = path
+    this.getPassphrase = getPassphrase
+    this.provider = null
+  }
+
+  unlock() {
+    if (!this.provider) {
+      const { keys } = readKeystore(this.path)
+      if (keys.length === 0) {
+        throw new Error(`No keys in keystore ${this.path}, add one with: node scripts/commands.js keystore add`)
+      }
+      const passphrase = this.getPassphrase()
+      this.provider = new JsSignatureProvider(keys.map(key => decryptKey(key, passphrase)))
+    }
+    return this.provider
+  }
+
+  async getAvailableKeys() {
+    return readKeystore(this.path).keys.map(({ publicKey }) => publicKey)
+  }
+
+  async sign(args) {
+    return this.unlock().sign(args)
+  }
+
+}
+
+class KeosdSignatureProvider {
+
+  constructor({ url = 'http://127.0.0.1:8900', wallet, password }) {
+    this.url = url.replace(/\/$/, '')
+    this.wallet = wallet
+    this.password = password
+    this.unlocked = false
+  }
+
+  async call(endpoint, body) {
+    const response = await fetch(`${this.url}/v1/wallet/${endpoint}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    })
+    const json = await response.json()
+    if (!response.ok) {
+      const error = json.error || {}
+      const details = (error.details || []).map(d => d.message).join(', ')
+      const err = new Error(`keosd ${endpoint} failed: ${details || error.what || response.statusText}`)
+      err.json = json
+      throw err
+    }
+    return json
+  }
+
+  async unlock() {
+    if (this.unlocked || !this.wallet || this.password === undefined) {
+      return
+    }
+    try {
+      await this.call('unlock', [this.wallet, this.password])
+    } catch (err) {
+      if (!err.json || !err.json.error || err.json.error.name !== 'wallet_unlocked_exception') {
+        throw err
+      }
+    }
+    this.unlocked = true
+  }
+
+  async getAvailableKeys() {
+    await this.unlock()
+    return this.call('get_public_keys', [])
+  }
+
+  // sign_digest avoids keosd having to unpack actions it has no abi for
+  async sign({ chainId, requiredKeys, serializedTransaction, serializedContextFreeData }) {
+    await this.unlock()
+    const digest = Buffer.from(digestFromSerializedData(chainId, serializedTransaction, serializedContextFreeData)).toString('hex')
+
+    const signatures = []
+    for (const key of requiredKeys) {
+      signatures.push(await this.call('sign_digest', [digest, key]))
+    }
+
+    return { signatures, serializedTransaction, serializedContextFreeData }
+  }
+
+}
+
+class OfflineSignatureRequired extends Error {
+
+  constructor(path) {
+    super(`Transaction saved to ${path} for offline signing, nothing was sent. Sign it with "node scripts/commands.js offline sign ${path}" and push it with "node scripts/commands.js offline push ${path}"`)
+    this.name = 'OfflineSignatureRequired'
+    this.path = path
+  }
+
+}
+
+class OfflineSignatureProvider {
+
+  // keys are the public keys the offline machine holds, they are needed to
+  // ask the chain which ones a transaction requires
+  constructor({ keys, dir = defaultOfflineDir }) {
+    this.keys = keys
+    this.dir = dir
+  }
+
+  async getAvailableKeys() {
+    if (this.keys.length === 0) {
+      throw new Error('OFFLINE_KEYS is not set, list the public keys of the offline signer')
+    }
+    return this.keys
+  }
+
+  async sign({ chainId, requiredKeys, serializedTransaction, serializedContextFreeData }) {
+    const digest = Buffer.from(digestFromSerializedData(chainId, serializedTransaction, serializedContextFreeData)).toString('hex')
+    const path = join(this.dir, `${digest.slice(0, 16)}.json`)
+
+    writeSigningRequest(path, { chainId, requiredKeys, serializedTransaction, serializedContextFreeData })
+    throw new OfflineSignatureRequired(path)
+  }
+
+}
+
+const toHex = data => data ? Buffer.from(data).toString('hex') : null
+const fromHex = hex => hex ? Uint8Array.from(Buffer.from(hex, 'hex')) : undefined
+
+function writeSigningRequest(path, { chainId, requiredKeys, serializedTransaction, serializedContextFreeData, signatures = [] }) {
+  if (!fs.existsSync(dirname(path))) {
+    fs.mkdirSync(dirname(path), { recursive: true })
+  }
+  fs.writeFileSync(path, JSON.stringify({
+    chainId,
+    requiredKeys,
+    serializedTransaction: toHex(serializedTransaction),
+    serializedContextFreeData: toHex(serializedContextFreeData),
+    signatures
+  }, null, 2))
+}
+
+function readSigningRequest(path) {
+  const request = JSON.parse(fs.readFileSync(path))
+  return {
+    ...request,
+    serializedTransaction: fromHex(request.serializedTransaction),
+    serializedContextFreeData: fromHex(request.serializedContextFreeData)
+  }
+}
+
+// adds the signatures of provider to a saved signing request, run where the
+// keys are, with any signer but offline
+async function signRequest(path, provider) {
+  const request = readSigningRequest(path)
+  const available = (await provider.getAvailableKeys()).map(convertLegacyPublicKey)
+  const requiredKeys = request.requiredKeys.filter(key => available.includes(convertLegacyPublicKey(key)))
+
+  if (requiredKeys.length === 0) {
+    throw new Error(`None of the required keys ${request.requiredKeys.join(', ')} are available to this signer`)
+  }
+
+  const { signatures } = await provider.sign({ ...request, requiredKeys })
+  const merged = [...new Set([...request.signatures, ...signatures])]
+  writeSigningRequest(path, { ...request, signatures: merged })
+
+  return merged
+}
+
+async function pushSignedRequest(path, rpc) {
+  const { signatures, serializedTransaction, serializedContextFreeData, requiredKeys } = readSigningRequest(path)
+  if (signatures.length < requiredKeys.length) {
+    throw new Error(`${path} has ${signatures.length} of the ${requiredKeys.length} signatures it needs`)
+  }
+  return rpc.push_transaction({ signatures, serializedTransaction, serializedContextFreeData })
+}
+
+function getExpireSeconds(env = process.env) {
+  return env.SIGNER === 'offline' ? expireSeconds.offline : expireSeconds.online
+}
+
+function createSignatureProvider(env = process.env, { getPassphrase } = {}) {
+  const signer = env.SIGNER || 'env'
+
+  switch (signer) {
+
+    case 'env':
+      return new JsSignatureProvider([env.PRIVATE_KEY])
+
+    case 'keystore':
+      return new KeystoreSignatureProvider({
+        path: env.KEYSTORE_PATH || defaultKeystorePath,
+        getPassphrase: () => env.KEYSTORE_PASSPHRASE || getPassphrase()
+      })
+
+    case 'keosd':
+      return new KeosdSignatureProvider({
+        url: env.KEOSD_URL,
+        wallet: env.KEOSD_WALLET,
+        password: env.KEOSD_PASSWORD
+      })
+
+    case 'offline':
+      return new OfflineSignatureProvider({
+        keys: (env.OFFLINE_KEYS || '').split(',').map(k => k.trim()).filter(k => k),
+        dir: env.OFFLINE_DIR || defaultOfflineDir
+      })
+
+    default:
+      throw new Error(`Unknown SIGNER ${signer}, expected one of ${signers.join(', ')}`)
+  }
+}
+
+module.exports = {
+  signers, createSignatureProvider, getExpireSeconds,
+  KeystoreSignatureProvider, KeosdSignatureProvider, OfflineSignatureProvider, OfflineSignatureRequired,
+  addKeyToKeystore, readKeystore, signRequest, pushSignedRequest
+}
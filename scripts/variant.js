@@ -0,0 +1,129 @@
+const { Asset } = require('./asset')
+const { formatTimePoint } = require('./eosio-util')
+
+// alternatives of common::types::variant_value in include/common/data_types.hpp
+const VariantTypes = {
+  Empty: 'monostate',
+  Int64: 'int64',
+  Double: 'float64',
+  Name: 'name',
+  Asset: 'asset',
+  String: 'string',
+  Bool: 'bool',
+  TimePoint: 'time_point'
+}
+
+const INT64_MIN = -(1n << 63n)
+const INT64_MAX = (1n << 63n) - 1n
+
+const nameRegex = /^[a-z1-5.]{0,12}[a-j1-5.]?$/
+
+function encodeInt64 (value) {
+  let n
+  try {
+    n = BigInt(value)
+  } catch (err) {
+    throw new Error(`Expected an integer for int64, got ${value}`)
+  }
+  if (n < INT64_MIN || n > INT64_MAX) {
+    throw new Error(`Value ${value} is out of range for int64`)
+  }
+  return Number.isSafeInteger(Number(n)) ? Number(n) : n.toString()
+}
+
+function encodeTimePoint (value) {
+  const date = value instanceof Date
+    ? value
+    : new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value}Z`)
+  if (isNaN(date.getTime())) {
+    throw new Error(`Expected a date for time_point, got ${value}`)
+  }
+  return formatTimePoint(date)
+}
+
+function inferType (value) {
+  if (value === null || value === undefined) return VariantTypes.Empty
+  if (value instanceof Asset) return VariantTypes.Asset
+  if (value instanceof Date) return VariantTypes.TimePoint
+  if (typeof value === 'bigint') return VariantTypes.Int64
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? VariantTypes.Int64 : VariantTypes.Double
+  }
+  if (typeof value === 'boolean') return VariantTypes.Bool
+  if (typeof value === 'string') return VariantTypes.String
+
+  throw new Error(`Can not infer a variant type for ${value}`)
+}
+
+function encodeVariant (value, type = inferType(value)) {
+  switch (type) {
+    case VariantTypes.Empty:
+      return [type, {}]
+    case VariantTypes.Int64:
+      return [type, encodeInt64(value)]
+    case VariantTypes.Double:
+      if (!isFinite(value)) {
+        throw new Error(`Expected a number for float64, got ${value}`)
+      }
+      return [type, Number(value)]
+    case VariantTypes.Name:
+      if (typeof value !== 'string' || !nameRegex.test(value)) {
+        throw new Error(`Invalid name ${value}`)
+      }
+      return [type, value]
+    case VariantTypes.Asset:
+      return [type, (value instanceof Asset ? value : Asset.fromString(value)).toString()]
+    case VariantTypes.String:
+      return [type, `${value}`]
+    case VariantTypes.Bool:
+      return [type, !!value]
+    case VariantTypes.TimePoint:
+      return [type, encodeTimePoint(value)]
+    default:
+      throw new Error(`Unknown variant type ${type}`)
+  }
+}
+
+function decodeVariant ([type, value]) {
+  switch (type) {
+    case VariantTypes.Empty:
+      return null
+    case VariantTypes.Int64: {
+      const n = BigInt(value)
+      return Number.isSafeInteger(Number(n)) ? Number(n) : n
+    }
+    case VariantTypes.Double:
+      return Number(value)
+    case VariantTypes.Name:
+    case VariantTypes.String:
+      return value
+    case VariantTypes.Asset:
+      return Asset.fromString(value)
+    case VariantTypes.Bool:
+      return value === true || value === 1
+    case VariantTypes.TimePoint:
+      return new Date(`${value}Z`)
+    default:
+      throw new Error(`Unknown variant type ${type}`)
+  }
+}
+
+// std::map<std::string, variant_value> is serialized as [{ key, value }]
+function encodeAttributes (attributes, types = {}) {
+  return Object.keys(attributes).map(key => ({
+    key,
+    value: encodeVariant(attributes[key], types[key])
+  }))
+}
+
+function decodeAttributes (pairs) {
+  const attributes = {}
+  for (const { key, value } of pairs) {
+    attributes[key] = decodeVariant(value)
+  }
+  return attributes
+}
+
+module.exports = {
+  VariantTypes, encodeVariant, decodeVariant, encodeAttributes, decodeAttributes
+}
@@ -78,12 +78,12 @@ ACTION proposals::move(const uint64_t &proposal_id)
   prop->move(args);
 }
 
-ACTION proposals::setpconfig(const eosio::name &proposal_type, std::vector<common::types::phase_config> &default_phases)
+ACTION proposals::setpconfig(const eosio::name &type, std::vector<common::types::phase_config> &default_phases)
 {
   require_auth(get_self());
 
   phases_config_tables pconfig_t(get_self(), get_self().value);
-  auto pcitr = pconfig_t.find(proposal_type.value);
+  auto pcitr = pconfig_t.find(type.value);
 
   std::vector<common::types::phase> phases;
   for (auto &default_phase : default_phases)
@@ -98,7 +98,7 @@ ACTION proposals::setpconfig(const eosio::name &proposal_type, std::vector<commo
   {
     pconfig_t.emplace(_self, [&](auto &item)
                       {
-      item.type = proposal_type;
+      item.type = type;
       item.default_phases = phases; });
   }
   else
@@ -0,0 +1,64 @@
+const { Asset, AssetSymbol } = require('../scripts/asset')
+
+const expect = require('chai').expect
+
+describe('Tests for assets', function () {
+
+  it('Assets are parsed and printed without losing precision', function () {
+    expect(Asset.fromString('10.0000 BANK').amount).to.equal(100000n)
+    expect(Asset.fromString('0.0001 BANK').toString()).to.equal('0.0001 BANK')
+    expect(Asset.fromString('-1.5000 EOS').toString()).to.equal('-1.5000 EOS')
+    expect(Asset.fromString('4611686018427.3879 EOS').amount).to.equal(46116860184273879n)
+  })
+
+  it('Assets without a decimal point have zero precision', function () {
+    const asset = Asset.fromString('25 TKN')
+    expect(asset.precision).to.equal(0)
+    expect(asset.toString()).to.equal('25 TKN')
+  })
+
+  it('Invalid assets are rejected', function () {
+    expect(() => Asset.fromString('10.0000')).to.throw('Invalid asset')
+    expect(() => Asset.fromString('1O.0000 EOS')).to.throw('Invalid asset')
+    expect(() => Asset.fromString('1.0000 eos')).to.throw('Invalid symbol code')
+  })
+
+  it('Arithmetic is exact', function () {
+    const a = Asset.fromString('0.1000 EOS')
+    const b = Asset.fromString('0.2000 EOS')
+
+    expect(a.add(b).toString()).to.equal('0.3000 EOS')
+    expect(a.subtract(b).toString()).to.equal('-0.1000 EOS')
+    expect(Asset.fromString('10.0001 EOS').multiplyByPercentage(5500).toString()).to.equal('5.5000 EOS')
+  })
+
+  it('Assets with different symbols can not be combined', function () {
+    expect(() => Asset.fromString('1.0000 EOS').add('1.0000 BANK')).to.throw('different symbols')
+    expect(() => Asset.fromString('1.0000 EOS').compare('1.000 EOS')).to.throw('different symbols')
+  })
+
+  it('Assets are compared by amount', function () {
+    const minstake = Asset.fromString('10.0000 EOS')
+
+    expect(minstake.compare('10.0000 EOS')).to.equal(0)
+    expect(Asset.fromString('9.9999 EOS').lt(minstake)).to.be.true
+    expect(Asset.fromString('10.0001 EOS').gte(minstake)).to.be.true
+  })
+
+  it('Symbols are parsed from <precision>,<code>', function () {
+    const symbol = AssetSymbol.fromString('4,EOS')
+
+    expect(symbol).to.include({ code: 'EOS', precision: 4 })
+    expect(Asset.zero(symbol).toString()).to.equal('0.0000 EOS')
+    expect(() => AssetSymbol.fromString('EOS')).to.throw('Invalid symbol')
+  })
+
+  it('Assets round trip through JSON', function () {
+    const tally = { yes: Asset.fromString('12.3456 BANK') }
+    const json = JSON.stringify(tally)
+
+    expect(json).to.equal('{"yes":"12.3456 BANK"}')
+    expect(Asset.fromJSON(JSON.parse(json).yes).equals(tally.yes)).to.be.true
+  })
+
+})
@@ -0,0 +1,122 @@
+const eos = require('../scripts/eos')
+const { TransactionBatch } = require('../scripts/batch')
+const { contractNames } = require('../scripts/config')
+
+const expect = require('chai').expect
+
+const { token, nullcontract } = contractNames
+
+const abi = (structs, actions) => ({
+  version: 'eosio::abi/1.1',
+  types: [],
+  structs,
+  actions,
+  tables: [],
+  ricardian_clauses: [],
+  error_messages: [],
+  abi_extensions: [],
+  variants: []
+})
+
+const abis = {
+  [token]: abi(
+    [{
+      name: 'transfer',
+      base: '',
+      fields: [
+        { name: 'from', type: 'name' },
+        { name: 'to', type: 'name' },
+        { name: 'quantity', type: 'asset' },
+        { name: 'memo', type: 'string' }
+      ]
+    }],
+    [{ name: 'transfer', type: 'transfer', ricardian_contract: '' }]
+  ),
+  [nullcontract]: abi(
+    [{ name: 'nonce', base: '', fields: [{ name: 'random', type: 'string' }] }],
+    [{ name: 'nonce', type: 'nonce', ricardian_contract: '' }]
+  )
+}
+
+const transfer = (to, quantity) => ({
+  account: token,
+  name: 'transfer',
+  authorization: [{ actor: token, permission: 'active' }],
+  data: { from: token, to, quantity, memo: '' }
+})
+
+describe('Tests for transaction batches', function () {
+
+  const { transact } = eos
+  const { get_info, get_block_info } = eos.rpc
+  const { chainId } = eos.api
+
+  afterEach(function () {
+    eos.transact = transact
+    eos.rpc.get_info = get_info
+    eos.rpc.get_block_info = get_block_info
+    eos.api.chainId = chainId
+    for (const account of Object.keys(abis)) {
+      eos.api.cachedAbis.delete(account)
+    }
+  })
+
+  it('All actions of a batch are sent in one transaction', async function () {
+    const sent = []
+    eos.transact = async (transaction, options) => {
+      sent.push({ transaction, options })
+      return { transaction_id: 'abc' }
+    }
+
+    const batch = new TransactionBatch()
+      .add(transfer('alice', '1.0000 EOS'))
+      .add([transfer('bob', '2.0000 EOS'), transfer('carol', '3.0000 EOS')])
+
+    expect(await batch.send({ expireSeconds: 60 })).to.deep.equal({ transaction_id: 'abc' })
+    expect(batch.length).to.equal(3)
+
+    expect(sent).to.have.lengthOf(1)
+    expect(sent[0].options).to.deep.equal({ expireSeconds: 60 })
+    const { actions } = sent[0].transaction
+    expect(actions.slice(0, 3).map(a => a.data.to)).to.deep.equal(['alice', 'bob', 'carol'])
+    // the local profile adds a nonce so equal batches are not duplicates
+    expect(actions.slice(3).map(a => `${a.account}::${a.name}`)).to.deep.equal([`${nullcontract}::nonce`])
+  })
+
+  it('An empty batch is not sent', async function () {
+    let error
+    try {
+      await new TransactionBatch().send()
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('Can not build a transaction from an empty batch')
+  })
+
+  it('The serialized transaction holds the actions of the batch, unsigned', async function () {
+    eos.api.chainId = 'cf057bbfb72640471fd910bcb67639c22df9f92470936cddc1ade0e2f2e7dc4f'
+    eos.rpc.get_info = async () => ({ head_block_num: 100, last_irreversible_block_num: 100 })
+    eos.rpc.get_block_info = async blockNum => ({
+      block_num: blockNum,
+      id: `${blockNum.toString(16).padStart(8, '0')}${'1'.repeat(56)}`,
+      timestamp: '2030-01-01T00:00:00.000'
+    })
+    for (const [account, definition] of Object.entries(abis)) {
+      eos.api.cachedAbis.set(account, { rawAbi: eos.api.jsonToRawAbi(definition), abi: definition })
+    }
+
+    const { transaction, serializedTransaction, serializedContextFreeData } = await new TransactionBatch()
+      .add(transfer('alice', '1.0000 EOS'), transfer('bob', '2.0000 EOS'))
+      .serialize()
+
+    expect(serializedTransaction).to.match(/^[0-9a-f]+$/)
+    expect(serializedContextFreeData).to.equal(null)
+    expect(transaction.ref_block_num).to.equal(97)
+    expect(transaction.actions.slice(0, 2).map(a => a.data)).to.deep.equal([
+      { from: token, to: 'alice', quantity: '1.0000 EOS', memo: '' },
+      { from: token, to: 'bob', quantity: '2.0000 EOS', memo: '' }
+    ])
+    expect(transaction.actions[2].name).to.equal('nonce')
+  })
+
+})
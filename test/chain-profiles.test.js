@@ -0,0 +1,90 @@
+const { execFileSync } = require('child_process')
+const { join } = require('path')
+const { listProfiles, readProfile, validateProfile, loadProfile, resolvePermissions } = require('../scripts/chain-profiles')
+
+const expect = require('chai').expect
+
+describe('Tests for chain profiles', function () {
+
+  listProfiles().forEach(name => {
+    it(`The ${name} profile is valid`, function () {
+      expect(validateProfile(readProfile(name), name)).to.be.empty
+    })
+  })
+
+  it('Permission placeholders are replaced by contract accounts', function () {
+    const { permissions } = loadProfile('local')
+    expect(permissions[0].account).to.equal('eospropvotes')
+    expect(permissions[0].permissions.active.accounts).to.deep.equals([
+      { actor: 'eosmakeprops@active', weight: 1 },
+      { actor: 'eospropvotes@eosio.code', weight: 1 }
+    ])
+  })
+
+  it('Permission defaults are filled in', function () {
+    const profile = readProfile('local')
+    profile.permissions = [{
+      account: '{proposals}',
+      permissions: { custom: { keys: [{ key: '{publicKey}' }] } },
+      links: [{ action: 'create', permission: 'custom' }, { code: '{token}', action: 'transfer', permission: 'custom' }]
+    }]
+
+    expect(resolvePermissions(profile)[0]).to.deep.equals({
+      account: 'eosmakeprops',
+      permissions: {
+        custom: { parent: 'active', threshold: 1, keys: [{ key: '{publicKey}', weight: 1 }], accounts: [], waits: [] }
+      },
+      links: [
+        { code: 'eosmakeprops', action: 'create', permission: 'custom' },
+        { code: 'eosio.token', action: 'transfer', permission: 'custom' }
+      ]
+    })
+  })
+
+  it('Invalid profiles are reported', function () {
+    const { stakes, ...eosMainnet } = readProfile('eosMainnet')
+    const profile = {
+      ...eosMainnet,
+      contracts: [{ name: 'proposals', account: 'eosmakeprops' }, { name: 'proposals', account: 'testproposal' }],
+      permissions: [
+        {
+          account: '{token}',
+          permissions: {
+            owner: { parent: 'active' },
+            custom: { parent: 'voting', threshold: 2, accounts: [{ actor: 'erick.bk@active' }] }
+          },
+          links: [{ action: 'create', permission: 'voting' }, { code: '{token}', action: 'create', permission: 'voting' }]
+        },
+        { account: '{token}', permissions: { active: {} } }
+      ]
+    }
+
+    expect(validateProfile(profile, 'eosMainnet')).to.have.members([
+      '/contracts declares proposals more than once',
+      '/contracts/0 needs stakes to create the proposals account on a remote chain',
+      '/contracts/1 needs stakes to create the proposals account on a remote chain',
+      '/permissions/0/account references unknown contract token',
+      '/permissions/0/permissions/owner owner can not have a parent',
+      '/permissions/0/permissions/owner can never be satisfied, weights add up to 0 for a threshold of 1',
+      '/permissions/0/permissions/custom has an undeclared parent voting',
+      '/permissions/0/permissions/custom can never be satisfied, weights add up to 1 for a threshold of 2',
+      '/permissions/0/links/0 links to undeclared permission voting',
+      '/permissions/0/links/1 links to undeclared permission voting',
+      '/permissions/0/links/1/code references unknown contract token',
+      '/permissions/0/links/1 links {token}::create more than once',
+      '/permissions/1 declares the permissions of {token} more than once',
+      '/permissions/1/account references unknown contract token',
+      '/permissions/1/permissions/active can never be satisfied, weights add up to 0 for a threshold of 1'
+    ])
+    expect(validateProfile({ ...profile, endpoints: [] }, 'eosMainnet')).to.deep.equals(['/endpoints must NOT have fewer than 1 items'])
+  })
+
+  it('The profiles command runs without a valid current profile or a key', function () {
+    const env = { ...process.env, CHAIN_NAME: 'unknown' }
+    delete env.PRIVATE_KEY
+
+    const output = execFileSync('node', [join(__dirname, '../scripts/commands.js'), 'profiles', 'validate', 'local'], { env, encoding: 'utf8' })
+    expect(output).to.equal('local: ok\n')
+  })
+
+})
@@ -0,0 +1,78 @@
+const fs = require('fs')
+const { join } = require('path')
+const { checkAbi } = require('../scripts/compile')
+const { tables } = require('../scripts/queries')
+
+const expect = require('chai').expect
+
+const example = JSON.parse(fs.readFileSync(join(__dirname, 'examples/proposals.abi')))
+
+const struct = (name, fields) => ({ name, base: '', fields: fields.map(field => ({ name: field, type: 'name' })) })
+const action = name => ({ name, type: name, ricardian_contract: '' })
+
+// the example setpconfig with the other actions and the tables the scripts use
+function proposalsAbi() {
+  return {
+    ...example,
+    structs: [
+      ...example.structs,
+      struct('create', ['args']),
+      struct('setgparam', ['scope', 'setting', 'value'])
+    ],
+    actions: [...example.actions, action('create'), action('setgparam')],
+    tables: Object.values(tables)
+      .filter(({ contract }) => contract === 'proposals')
+      .map(({ table }) => ({ name: table, type: table, index_type: 'i64', key_names: [], key_types: [] }))
+  }
+}
+
+const abiError = abi => {
+  try {
+    checkAbi('proposals', abi)
+  } catch (err) {
+    return err.message
+  }
+  return null
+}
+
+describe('Tests for the ABI check', function () {
+
+  it('An ABI with the actions and fields the scripts send passes', function () {
+    expect(abiError(proposalsAbi())).to.equal(null)
+  })
+
+  it('Renamed action fields are reported', function () {
+    const abi = proposalsAbi()
+    abi.structs = abi.structs.map(s => s.name === 'setpconfig' ? struct('setpconfig', ['proposal_type', 'default_phases']) : s)
+
+    expect(abiError(abi)).to.include('action setpconfig has fields (proposal_type, default_phases), the scripts send (type, default_phases)')
+  })
+
+  it('Missing actions are reported', function () {
+    const abi = proposalsAbi()
+    abi.actions = abi.actions.filter(a => a.name !== 'setgparam')
+
+    expect(abiError(abi)).to.include('action setgparam is not declared')
+  })
+
+  it('The referendums vote is checked in argument order', function () {
+    const abi = {
+      version: 'eosio::abi/1.1',
+      structs: [struct('vote', ['referendum_id', 'option', 'voter'])],
+      actions: [action('vote')],
+      tables: Object.values(tables)
+        .filter(({ contract }) => contract === 'referendums')
+        .map(({ table }) => ({ name: table })),
+      variants: []
+    }
+
+    let error
+    try {
+      checkAbi('referendums', abi)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('action vote has fields (referendum_id, option, voter), the scripts send (referendum_id, voter, option)')
+  })
+
+})
@@ -0,0 +1,62 @@
+const { listProfiles, readProfile } = require('../scripts/chain-profiles')
+const { validateParams, validatePhases, validateProfileConfig, loadParams, getConfigPaths } = require('../scripts/contract-config')
+
+const expect = require('chai').expect
+
+const profile = { name: 'eosMainnet', token: { account: 'eosio.token', symbol: '4,EOS' } }
+
+describe('Tests for the contract config files', function () {
+
+  it('Every chain profile has a valid params.json and phasesConfig.json', function () {
+    for (const name of listProfiles()) {
+      expect(validateProfileConfig(readProfile(name), name), name).to.be.empty
+    }
+  })
+
+  it('Known settings are typed', function () {
+    const errors = validateParams({
+      main: {
+        minstake: ['int64', 10],
+        votethresh: ['int64', '15'],
+        quorum: ['asset', '10,000.0000 EOS']
+      }
+    }, profile)
+
+    expect(errors).to.include('/main/minstake/0 must be equal to constant')
+    expect(errors).to.include('/main/quorum/1 must match pattern "^\\d+(\\.\\d+)? [A-Z]{1,7}$"')
+    expect(errors.filter(e => e.startsWith('/main/votethresh'))).to.be.empty
+  })
+
+  it('Scopes must be proposal types', function () {
+    expect(validateParams({ referendum: { minstake: ['asset', '1.0000 EOS'] } }, profile)).to.include('/ must be equal to one of the allowed values')
+  })
+
+  it('Assets must be in the token of the profile', function () {
+    expect(validateParams({ main: { minstake: ['asset', '1.0000 MOCKEOS'] } }, profile)).to.deep.equal([
+      '/main/minstake must be in 4,EOS, the token of eosMainnet'
+    ])
+  })
+
+  it('Phases have a known type and an int16 duration', function () {
+    const errors = validatePhases({
+      main: [
+        { phaseName: 'debate', durationDays: -2, type: 'dialog' },
+        { phaseName: 'vote', durationDays: 40000, type: 'referendum' }
+      ]
+    })
+
+    expect(errors).to.have.members([
+      '/main/0/durationDays must be >= -1',
+      '/main/1/durationDays must be <= 32767',
+      '/main/1/type must be equal to one of the allowed values'
+    ])
+    expect(validatePhases({ main: [{ phaseName: 'vote', durationDays: -1, type: 'voting' }, { phaseName: 'vote', durationDays: 1, type: 'voting' }] }))
+      .to.deep.equal(['/main/1 repeats phase vote'])
+  })
+
+  it('Invalid files are rejected before anything is sent', function () {
+    const { params } = getConfigPaths('telosTestnet')
+    expect(() => loadParams(params, profile)).to.throw(`Invalid ${params}, nothing was sent`)
+  })
+
+})
@@ -0,0 +1,32 @@
+const { renderConstants } = require('../scripts/contract-constants')
+const { loadProfile } = require('../scripts/chain-profiles')
+
+const expect = require('chai').expect
+
+describe('Tests for rendered contract constants', function () {
+
+  it('Contract accounts and token symbol come from the chain profile', function () {
+    const constants = renderConstants(loadProfile('telosTestnet'))
+
+    expect(constants).to.include('const eosio::symbol token_symbol = eosio::symbol("MOCKEOS", 4);')
+    expect(constants).to.include('constexpr eosio::name bank_token = "mockeostoken"_n;')
+    expect(constants).to.include('constexpr eosio::name proposals = "testproposal"_n;')
+    expect(constants).to.include('constexpr eosio::name referendums = "testrefendum"_n;')
+  })
+
+  it('Phase and status names are rendered', function () {
+    const constants = renderConstants(loadProfile('local'))
+
+    expect(constants).to.include('constexpr eosio::name phase_debate_voting = "prevote"_n;')
+    expect(constants).to.include('constexpr eosio::name status_accepted = "approved"_n;')
+    expect(constants).to.include('constexpr eosio::name type_voting = "voting"_n;')
+  })
+
+  it('Profiles without a proposals or referendums contract can not be rendered', function () {
+    const profile = loadProfile('local')
+    profile.contracts = profile.contracts.filter(c => c.name !== 'referendums')
+
+    expect(() => renderConstants(profile)).to.throw('does not declare the referendums contract')
+  })
+
+})
@@ -0,0 +1,146 @@
+const fs = require('fs')
+const os = require('os')
+const { join } = require('path')
+const queries = require('../scripts/queries')
+const { Serialize } = require('eosjs')
+const { getConfigDiff, exportConfig, writeConfigExport, phasesAction } = require('../scripts/contract-settings')
+const { loadParams, loadPhases, getConfigPaths } = require('../scripts/contract-config')
+const { profile } = require('../scripts/config')
+
+const expect = require('chai').expect
+
+const compiledAbi = join(__dirname, '../compiled/proposals.abi')
+
+// the abi of the last compile, or the setpconfig part of it kept in examples
+function proposalsAbi() {
+  const path = fs.existsSync(compiledAbi) ? compiledAbi : join(__dirname, 'examples/proposals.abi')
+  return JSON.parse(fs.readFileSync(path, 'utf8'))
+}
+
+// parameter names of an action as declared in a header or defined in a source file
+function actionParams(file, action) {
+  const source = fs.readFileSync(join(__dirname, '..', file), 'utf8')
+  const match = source.match(new RegExp(`ACTION (?:proposals::)?${action}\\s*\\(([^)]*)\\)`))
+  return match[1].split(',').map(param => param.trim().split(/[\s&*]+/).pop())
+}
+
+const paths = getConfigPaths('local')
+
+// config and phasesconf rows as they are when the json files were applied
+function appliedRows() {
+  const params = loadParams(paths.params, profile)
+  const phases = loadPhases(paths.phases)
+
+  const config = {}
+  for (const scope of Object.keys(params)) {
+    config[scope] = Object.keys(params[scope]).map(setting => ({ setting, value: params[scope][setting] }))
+  }
+  const phasesconf = Object.keys(phases).map(type => ({
+    type,
+    default_phases: phases[type].map(p => ({ phase: p.phaseName, duration_days: p.durationDays, type: p.type }))
+  }))
+
+  return { config, phasesconf }
+}
+
+describe('Tests for the config sync', function () {
+
+  const { getConfig, getPhasesConfig } = queries
+  let rows
+
+  beforeEach(function () {
+    rows = appliedRows()
+    queries.getConfig = async scope => rows.config[scope] || []
+    queries.getPhasesConfig = async () => rows.phasesconf
+  })
+
+  afterEach(function () {
+    queries.getConfig = getConfig
+    queries.getPhasesConfig = getPhasesConfig
+  })
+
+  it('Nothing changes when the chain matches the json files', async function () {
+    expect(await getConfigDiff()).to.deep.equal({ changes: [], extras: [] })
+  })
+
+  it('Only changed settings and phases are sent', async function () {
+    rows.config.main.find(r => r.setting === 'quorum').value = ['asset', '1.0000 EOS']
+    rows.config.amendment = rows.config.amendment.filter(r => r.setting !== 'minstake')
+    rows.phasesconf.find(r => r.type === 'changetime').default_phases[0].duration_days = 5
+
+    const { changes } = await getConfigDiff()
+
+    expect(changes.map(c => c.description)).to.deep.equal([
+      'main.quorum: ["asset","1.0000 EOS"] -> ["asset","10000.0000 EOS"]',
+      'amendment.minstake: (unset) -> ["asset","10.0000 EOS"]',
+      'changetime phases: vote 5d voting -> vote 2d voting'
+    ])
+    expect(changes.map(c => c.action.name)).to.deep.equal(['setgparam', 'setgparam', 'setpconfig'])
+    expect(changes[2].action.data.default_phases).to.deep.equal([{ phase_name: 'vote', duration_days: 2, type: 'voting' }])
+  })
+
+  it('Settings on chain that the json files do not mention are reported', async function () {
+    rows.config.main.push({ setting: 'oldsetting', value: ['int64', 3] })
+    rows.phasesconf.push({ type: 'legacy', default_phases: [{ phase: 'vote', duration_days: 1, type: 'voting' }] })
+
+    const { changes, extras } = await getConfigDiff()
+
+    expect(changes).to.be.empty
+    expect(extras).to.deep.equal([
+      `main.oldsetting = ["int64",3] is not in ${paths.params}`,
+      `legacy phases vote are not in ${paths.phases}`
+    ])
+  })
+
+  it('Phases can be diffed on their own', async function () {
+    rows.config.main = []
+
+    const { changes } = await getConfigDiff({ params: false })
+    expect(changes).to.be.empty
+  })
+
+  it('The exported config is what the json files were', async function () {
+    const dir = fs.mkdtempSync(join(os.tmpdir(), 'config-'))
+    try {
+      const files = await writeConfigExport(dir)
+
+      expect(loadParams(files.params, profile)).to.deep.equal(loadParams(paths.params, profile))
+      expect(loadPhases(files.phases)).to.deep.equal(loadPhases(paths.phases))
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('Scopes without settings are left out of the export', async function () {
+    rows.config = { main: rows.config.main }
+    rows.phasesconf = []
+
+    const { params, phases } = await exportConfig()
+    expect(Object.keys(params)).to.deep.equal(['main'])
+    expect(phases).to.deep.equal({})
+  })
+
+  it('setpconfig is declared with the same parameters in the header and the source', function () {
+    expect(actionParams('include/proposals.hpp', 'setpconfig')).to.deep.equal(['type', 'default_phases'])
+    expect(actionParams('src/proposals.cpp', 'setpconfig')).to.deep.equal(['type', 'default_phases'])
+  })
+
+  it('The setpconfig action serializes with the proposals ABI', function () {
+    const abi = proposalsAbi()
+    const types = Serialize.getTypesFromAbi(Serialize.createInitialTypes(), abi)
+    const actions = new Map(abi.actions.map(({ name, type }) => [name, Serialize.getType(types, type)]))
+    const contract = { types, actions }
+
+    const defaultPhases = [{ phase_name: 'vote', duration_days: 2, type: 'voting' }]
+    const { account, name, data } = phasesAction('changetime', defaultPhases)
+
+    const encoder = new TextEncoder()
+    const decoder = new TextDecoder()
+    const hex = Serialize.serializeActionData(contract, account, name, data, encoder, decoder)
+    expect(Serialize.deserializeActionData(contract, account, name, hex, encoder, decoder)).to.deep.equal({
+      type: 'changetime',
+      default_phases: defaultPhases
+    })
+  })
+
+})
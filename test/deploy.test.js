@@ -0,0 +1,137 @@
+const fs = require('fs')
+const os = require('os')
+const { join } = require('path')
+const eos = require('../scripts/eos')
+const { deployContract, getDeploymentChanges } = require('../scripts/deploy')
+const { contractNames } = require('../scripts/config')
+
+const expect = require('chai').expect
+
+// the empty wasm module and the hash nodeos reports for it in get_code_hash
+const wasm = Buffer.from('0061736d01000000', 'hex')
+const wasmHash = '93a44bbb96c751218e4c00d479e4c14358122a389acca16205b1e4d0dc5f9476'
+const otherHash = 'f'.repeat(64)
+
+const abi = JSON.parse(fs.readFileSync(join(__dirname, 'examples/proposals.abi')))
+
+// get_raw_abi returns what setabi stored as base64, fc adds an extra '='
+// to padded strings
+function toBase64(bytes) {
+  const base64 = Buffer.from(bytes).toString('base64')
+  return base64.endsWith('=') ? `${base64}=` : base64
+}
+
+// an ABI set without the binary extensions, as older tools send it
+const rawAbi = definition => toBase64(eos.api.jsonToRawAbi({ error_messages: [], abi_extensions: [], ricardian_clauses: [], ...definition }))
+
+const contract = { name: 'proposals', nameOnChain: contractNames.proposals }
+
+describe('Tests for contract deployments', function () {
+
+  const { get_account, get_code_hash, get_raw_abi } = eos.rpc
+  const { transact } = eos.api
+  let compiledDir, chain, sent
+
+  beforeEach(function () {
+    compiledDir = fs.mkdtempSync(join(os.tmpdir(), 'deploy-'))
+    fs.writeFileSync(join(compiledDir, 'proposals.wasm'), wasm)
+    fs.writeFileSync(join(compiledDir, 'proposals.abi'), JSON.stringify(abi))
+
+    chain = { created: true, code_hash: wasmHash, abi: rawAbi(abi) }
+    sent = []
+
+    eos.rpc.get_account = async account => {
+      if (!chain.created) {
+        throw Object.assign(new Error('unknown key'), { json: { error: { name: 'unknown_key_exception' } } })
+      }
+      return { account_name: account }
+    }
+    eos.rpc.get_code_hash = async account => ({ account_name: account, code_hash: chain.code_hash })
+    eos.rpc.get_raw_abi = async account => ({ account_name: account, code_hash: chain.code_hash, abi: chain.abi })
+    eos.api.transact = async transaction => {
+      sent.push(transaction)
+      return {}
+    }
+  })
+
+  afterEach(function () {
+    fs.rmSync(compiledDir, { recursive: true, force: true })
+    eos.rpc.get_account = get_account
+    eos.rpc.get_code_hash = get_code_hash
+    eos.rpc.get_raw_abi = get_raw_abi
+    eos.api.transact = transact
+  })
+
+  it('Nothing is sent when the account runs the compiled code and ABI', async function () {
+    const changes = await getDeploymentChanges(contract, { compiledDir })
+    expect(changes.localCodeHash).to.equal(wasmHash)
+    expect(changes.chainCodeHash).to.equal(wasmHash)
+
+    expect(await deployContract(contract, { compiledDir })).to.deep.equal({ codeChanged: false, abiChanged: false })
+    expect(sent).to.have.lengthOf(0)
+  })
+
+  it('Only setcode is sent when the code differs', async function () {
+    chain.code_hash = otherHash
+
+    const { codeChanged, abiChanged } = await deployContract(contract, { compiledDir })
+    expect({ codeChanged, abiChanged }).to.deep.equal({ codeChanged: true, abiChanged: false })
+
+    expect(sent).to.have.lengthOf(1)
+    expect(sent[0].actions.map(a => a.name)).to.deep.equal(['setcode'])
+    expect(sent[0].actions[0].data).to.deep.equal({ account: contract.nameOnChain, code: wasm.toString('hex'), vmtype: 0, vmversion: 0 })
+  })
+
+  it('Only setabi is sent when the ABI differs', async function () {
+    chain.abi = rawAbi({ ...abi, actions: [] })
+
+    const { codeChanged, abiChanged } = await deployContract(contract, { compiledDir })
+    expect({ codeChanged, abiChanged }).to.deep.equal({ codeChanged: false, abiChanged: true })
+
+    expect(sent).to.have.lengthOf(1)
+    expect(sent[0].actions.map(a => a.name)).to.deep.equal(['setabi'])
+    const { structs, actions } = eos.api.rawAbiToJson(Buffer.from(sent[0].actions[0].data.abi, 'hex'))
+    expect({ structs, actions }).to.deep.equal({ structs: abi.structs, actions: abi.actions })
+
+    // once deployed get_raw_abi returns what setabi sent, nothing is left to deploy
+    chain.abi = toBase64(Buffer.from(sent[0].actions[0].data.abi, 'hex'))
+    expect((await getDeploymentChanges(contract, { compiledDir })).abiChanged).to.equal(false)
+  })
+
+  it('setcode and setabi are sent in one transaction when both differ', async function () {
+    chain.code_hash = otherHash
+    chain.abi = rawAbi({ ...abi, structs: [], actions: [] })
+
+    const { codeChanged, abiChanged } = await deployContract(contract, { compiledDir })
+    expect({ codeChanged, abiChanged }).to.deep.equal({ codeChanged: true, abiChanged: true })
+
+    expect(sent).to.have.lengthOf(1)
+    expect(sent[0].actions.map(a => a.name)).to.deep.equal(['setcode', 'setabi'])
+    expect(sent[0].actions.map(a => a.authorization)).to.deep.equal([
+      [{ actor: contract.nameOnChain, permission: 'active' }],
+      [{ actor: contract.nameOnChain, permission: 'active' }]
+    ])
+  })
+
+  it('An account that does not exist yet gets both', async function () {
+    chain.created = false
+
+    const changes = await getDeploymentChanges(contract, { compiledDir })
+    expect(changes.chainCodeHash).to.equal('0'.repeat(64))
+    expect(changes.codeChanged).to.equal(true)
+    expect(changes.abiChanged).to.equal(true)
+  })
+
+  it('A contract that was not compiled is reported', async function () {
+    fs.rmSync(join(compiledDir, 'proposals.wasm'))
+
+    let error
+    try {
+      await getDeploymentChanges(contract, { compiledDir })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('compile the contract first')
+  })
+
+})
@@ -0,0 +1,73 @@
+const { Serialize } = require('eosjs')
+const { getActionData } = require('../scripts/eosio-util')
+
+const expect = require('chai').expect
+
+const abi = {
+  version: 'eosio::abi/1.1',
+  types: [],
+  structs: [
+    {
+      name: 'day_percentage',
+      base: '',
+      fields: [
+        { name: 'start_day', type: 'uint16' },
+        { name: 'percentage', type: 'uint16' }
+      ]
+    },
+    {
+      name: 'create',
+      base: '',
+      fields: [
+        { name: 'referendum_id', type: 'uint64' },
+        { name: 'creator', type: 'name' },
+        { name: 'quorum', type: 'asset' },
+        { name: 'quorum_config', type: 'day_percentage[]' }
+      ]
+    }
+  ],
+  actions: [],
+  tables: [],
+  ricardian_clauses: [],
+  variants: []
+}
+
+const types = Serialize.getTypesFromAbi(Serialize.createInitialTypes(), abi)
+const action = { name: 'create', fields: Serialize.getType(types, 'create').fields }
+
+describe('Tests for action data built from generated contract functions', function () {
+
+  const data = {
+    referendum_id: 1,
+    creator: 'alice',
+    quorum: '10.0000 BANK',
+    quorum_config: [{ start_day: 0, percentage: 5500 }]
+  }
+
+  it('Positional arguments are mapped in ABI field order', function () {
+    expect(getActionData('referendums', action, Object.values(data))).to.deep.equals(data)
+  })
+
+  it('A single named object is accepted', function () {
+    expect(getActionData('referendums', action, [data])).to.deep.equals(data)
+  })
+
+  it('Missing fields are rejected', function () {
+    const { quorum, ...partial } = data
+    expect(() => getActionData('referendums', action, [partial])).to.throw('Missing fields quorum')
+  })
+
+  it('Unknown fields are rejected', function () {
+    expect(() => getActionData('referendums', action, [{ ...data, status: 'created' }])).to.throw('Unknown fields status')
+  })
+
+  it('Values with the wrong type are rejected', function () {
+    expect(() => getActionData('referendums', action, [{ ...data, quorum: 10 }]))
+      .to.throw('Invalid value for field "quorum" (asset) of referendums::create')
+  })
+
+  it('A wrong number of positional arguments is rejected', function () {
+    expect(() => getActionData('referendums', action, [1, 'alice'])).to.throw('Expected 4 arguments')
+  })
+
+})
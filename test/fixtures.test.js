@@ -0,0 +1,135 @@
+const fs = require('fs')
+const os = require('os')
+const { join } = require('path')
+const { Fixtures, fixtureSources } = require('./util/Fixtures')
+
+const expect = require('chai').expect
+
+// records what the fixtures ask of the node, snapshots are directories.
+// current is the snapshot the chain is at, tests clear it to change the chain
+function fakeNode(dir) {
+  const calls = []
+  const snapshotsDir = join(dir, 'snapshots')
+  const node = {
+    calls,
+    current: null,
+    snapshotPath: name => join(snapshotsDir, name),
+    hasSnapshot: name => fs.existsSync(join(snapshotsDir, name)),
+    listSnapshots: () => fs.existsSync(snapshotsDir) ? fs.readdirSync(snapshotsDir) : [],
+    isAtSnapshot: async name => node.current === name,
+    reset: async () => {
+      calls.push('reset')
+      node.current = null
+    },
+    snapshot: async name => {
+      calls.push(`snapshot ${name.replace(/-\w+$/, '')}`)
+      fs.mkdirSync(join(snapshotsDir, name), { recursive: true })
+      node.current = name
+    },
+    restore: async name => {
+      calls.push(`restore ${name.replace(/-\w+$/, '')}`)
+      node.current = name
+    }
+  }
+  return node
+}
+
+describe('Tests for chain fixtures', function () {
+
+  let dir
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'fixtures-'))
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('Fixtures are built once on top of their base and restored afterwards', async function () {
+    const node = fakeNode(dir)
+    const builds = []
+    const fixtures = new Fixtures(node)
+      .define('chain', { build: async () => { builds.push('chain') } })
+      .define('funded', { base: 'chain', build: async () => { builds.push('funded'); return { accounts: ['alice'] } } })
+
+    expect(await fixtures.load('funded')).to.deep.equal({ accounts: ['alice'] })
+    node.current = null
+    expect(await fixtures.load('funded')).to.deep.equal({ accounts: ['alice'] })
+
+    expect(builds).to.deep.equal(['chain', 'funded'])
+    expect(node.calls).to.deep.equal([
+      'reset', 'snapshot fixture-chain', 'snapshot fixture-funded', 'restore fixture-funded'
+    ])
+  })
+
+  it('A chain still at the snapshot of the fixture is not restored', async function () {
+    const node = fakeNode(dir)
+    const fixtures = new Fixtures(node)
+      .define('chain', { build: async () => ({ accounts: ['alice'] }) })
+      .define('other', { build: async () => ({}) })
+
+    await fixtures.load('chain')
+    expect(await fixtures.load('chain')).to.deep.equal({ accounts: ['alice'] })
+    await fixtures.load('other')
+    await fixtures.load('chain')
+
+    expect(node.calls).to.deep.equal([
+      'reset', 'snapshot fixture-chain', 'reset', 'snapshot fixture-other', 'restore fixture-chain'
+    ])
+  })
+
+  it('A fixture whose definition changed is rebuilt', async function () {
+    const node = fakeNode(dir)
+
+    await new Fixtures(node).define('chain', { build: async () => ({ version: 1 }) }).load('chain')
+    const data = await new Fixtures(node).define('chain', { build: async () => ({ version: 2 }) }).load('chain')
+
+    expect(data).to.deep.equal({ version: 2 })
+    expect(node.listSnapshots()).to.have.lengthOf(1)
+  })
+
+  it('A fixture whose sources changed is rebuilt', async function () {
+    const node = fakeNode(dir)
+    const source = join(dir, 'TokenUtil.js')
+    const builds = []
+    const load = () => new Fixtures(node, { sources: [source] })
+      .define('chain', { build: async () => { builds.push('chain') } })
+      .load('chain')
+
+    fs.writeFileSync(source, 'v1')
+    await load()
+    await load()
+    fs.writeFileSync(source, 'v2')
+    await load()
+
+    expect(builds).to.deep.equal(['chain', 'chain'])
+  })
+
+  it('The profile, its config files and the sdk are sources of the fixtures', function () {
+    const sources = fixtureSources().map(file => file.slice(join(__dirname, '..').length + 1))
+
+    expect(sources).to.include.members([
+      'scripts/profiles/local.json',
+      'scripts/config/local/params.json',
+      'scripts/config/local/phasesConfig.json',
+      'scripts/sdk/EnvironmentUtil.js',
+      'scripts/sdk/TokenUtil.js',
+      'scripts/sdk/ConfigUtil.js',
+      'scripts/permissions.js',
+      'compiled/proposals.wasm'
+    ])
+    sources.filter(file => !file.startsWith('compiled/')).forEach(file => expect(fs.existsSync(join(__dirname, '..', file)), file).to.equal(true))
+  })
+
+  it('Unknown fixtures are rejected', async function () {
+    let error
+    try {
+      await new Fixtures(fakeNode(dir)).load('dao-ready')
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('Unknown fixture dao-ready, defined fixtures: none')
+  })
+
+})
@@ -0,0 +1,100 @@
+const fs = require('fs')
+const os = require('os')
+const { join } = require('path')
+const { runSteps, selectSteps, parseInitArgs } = require('../scripts/init')
+
+const expect = require('chai').expect
+
+// step whose postcondition holds once it ran, or from the start when done
+function fakeStep(name, calls, { done = false, fail = false, precondition } = {}) {
+  let applied = done
+  return {
+    name,
+    precondition: async () => precondition,
+    postcondition: async () => applied ? [] : [`${name} missing`],
+    run: async () => {
+      calls.push(name)
+      if (fail) {
+        throw new Error(`${name} broke`)
+      }
+      applied = true
+    }
+  }
+}
+
+async function runAndCatch(steps, options) {
+  try {
+    await runSteps(steps, options)
+  } catch (err) {
+    return err
+  }
+}
+
+describe('Tests for the init steps', function () {
+
+  let statePath
+
+  beforeEach(function () {
+    statePath = join(fs.mkdtempSync(join(os.tmpdir(), 'init-')), 'local.json')
+  })
+
+  it('Init options are parsed', function () {
+    expect(parseInitArgs([])).to.deep.equal({ resume: false, only: null })
+    expect(parseInitArgs(['--resume', '--only', 'permissions,phases'])).to.deep.equal({ resume: true, only: ['permissions', 'phases'] })
+    expect(() => parseInitArgs(['--only'])).to.throw('--only expects a comma separated list of steps')
+    expect(() => parseInitArgs(['--force'])).to.throw('Unknown init option --force')
+  })
+
+  it('Steps already applied on chain are skipped', async function () {
+    const calls = []
+    const steps = [fakeStep('compile', calls), fakeStep('permissions', calls, { done: true }), fakeStep('phases', calls)]
+
+    const state = await runSteps(steps, { statePath, log: () => {} })
+
+    expect(calls).to.deep.equal(['compile', 'phases'])
+    expect(Object.keys(state.steps).map(name => [name, state.steps[name].status])).to.deep.equal([
+      ['compile', 'done'], ['permissions', 'skipped'], ['phases', 'done']
+    ])
+    expect(JSON.parse(fs.readFileSync(statePath)).steps.phases.status).to.equal('done')
+  })
+
+  it('Resume continues from the failed step', async function () {
+    const calls = []
+    const steps = [fakeStep('compile', calls), fakeStep('permissions', calls, { fail: true }), fakeStep('phases', calls)]
+
+    const error = await runAndCatch(steps, { statePath, log: () => {} })
+    expect(error.message).to.include('init step permissions failed: permissions broke')
+    expect(JSON.parse(fs.readFileSync(statePath)).steps.permissions).to.include({ status: 'failed', error: 'permissions broke' })
+
+    const retried = [fakeStep('compile', calls), fakeStep('permissions', calls), fakeStep('phases', calls)]
+    await runSteps(retried, { statePath, resume: true, log: () => {} })
+
+    expect(calls).to.deep.equal(['compile', 'permissions', 'permissions', 'phases'])
+  })
+
+  it('Resume needs the state of a previous run', async function () {
+    const error = await runAndCatch([], { statePath, resume: true })
+    expect(error.message).to.include('there is nothing to resume')
+  })
+
+  it('Unmet preconditions and postconditions fail the step', async function () {
+    const calls = []
+
+    let error = await runAndCatch([fakeStep('config', calls, { precondition: 'the proposals contract is not deployed' })], { statePath, log: () => {} })
+    expect(error.message).to.include('init step config failed: can not run yet, the proposals contract is not deployed')
+    expect(calls).to.deep.equal([])
+
+    const noop = { ...fakeStep('phases', calls), run: async () => {} }
+    error = await runAndCatch([noop], { statePath, log: () => {} })
+    expect(error.message).to.include('postcondition not met after running:\n  phases missing')
+  })
+
+  it('Only the requested steps run', function () {
+    const steps = ['compile', 'deploy:proposals', 'deploy:referendums', 'permissions', 'phases'].map(name => ({ name }))
+
+    expect(selectSteps(steps, ['permissions', 'phases']).map(s => s.name)).to.deep.equal(['permissions', 'phases'])
+    expect(selectSteps(steps, ['deploy']).map(s => s.name)).to.deep.equal(['deploy:proposals', 'deploy:referendums'])
+    expect(() => selectSteps(steps, ['setup'])).to.throw('Unknown init step setup')
+  })
+
+})
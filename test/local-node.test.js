@@ -0,0 +1,265 @@
+const fs = require('fs')
+const os = require('os')
+const net = require('net')
+const { join } = require('path')
+const { LocalNode, nodeosArgs } = require('../scripts/local-node')
+const { ChainTime, SECONDS_PER_DAY } = require('./util/ChainTime')
+
+const expect = require('chai').expect
+
+// stands in for nodeos: produces a block every 20ms once started, keeps
+// the head block in the data directory when interrupted and shifts the block
+// time by FAKETIME like libfaketime does. A pushed transaction goes in the
+// next block
+const fakeNodeos = `#!${process.execPath}
+const fs = require('fs')
+const http = require('http')
+const arg = name => process.argv.find(a => a.startsWith(name + '=')).split('=')[1]
+const dataDir = arg('--data-dir')
+const port = Number(arg('--http-server-address').split(':')[1])
+const headFile = dataDir + '/head'
+const startHead = fs.existsSync(headFile) ? Number(fs.readFileSync(headFile, 'utf8')) : 0
+const startedAt = Date.now()
+const offset = process.env.FAKETIME ? Number(process.env.FAKETIME.slice(1, -1)) : 0
+const head = () => startHead + Math.floor((Date.now() - startedAt) / 20)
+const headTime = () => new Date(Date.now() + offset * 1000).toISOString().replace('Z', '')
+const pushed = []
+const server = http.createServer((req, res) => {
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    if (req.url === '/v1/chain/push_transaction') {
+      pushed.push(head() + 1)
+      return res.end('{}')
+    }
+    if (req.url === '/v1/chain/get_block') {
+      const num = JSON.parse(body).block_num_or_id
+      return res.end(JSON.stringify({ block_num: num, transactions: pushed.includes(num) ? [{ status: 'executed' }] : [] }))
+    }
+    res.end(JSON.stringify({ head_block_num: head(), head_block_time: headTime() }))
+  })
+})
+server.listen(port, '127.0.0.1')
+process.on('SIGINT', () => {
+  fs.writeFileSync(headFile, String(head()))
+  process.exit(0)
+})
+`
+
+function freePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+describe('Tests for the local node manager', function () {
+
+  let dir, node
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'local-node-'))
+    const binary = join(dir, 'nodeos')
+    fs.writeFileSync(binary, fakeNodeos, { mode: 0o755 })
+
+    node = new LocalNode({
+      runner: 'local',
+      binary,
+      dir: join(dir, 'node'),
+      httpPort: await freePort(),
+      faketimeLib: null,
+      readyTimeoutMs: 5000,
+      pollIntervalMs: 20,
+      log: () => {}
+    })
+  })
+
+  afterEach(async function () {
+    await node.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('nodeos runs with the flags of usefull-scripts/nodeos.sh', function () {
+    const script = fs.readFileSync(join(__dirname, '../usefull-scripts/nodeos.sh'), 'utf8')
+    const flags = script.slice(script.indexOf('nodeos -e')).split(/\s+/).filter(f => f.startsWith('-'))
+
+    const args = nodeosArgs({ dataDir: '/data', configDir: '/config' })
+    for (const flag of flags) {
+      expect(args.some(arg => arg === flag || arg.startsWith(`${flag}=`))).to.equal(true, flag)
+    }
+  })
+
+  it('Start resolves once blocks are produced and stop ends the process', async function () {
+    const info = await node.start()
+    expect(info.head_block_num).to.be.above(0)
+    expect(await node.isRunning()).to.equal(true)
+
+    await node.stop()
+    expect(await node.isRunning()).to.equal(false)
+    expect(await node.getInfo()).to.equal(null)
+  })
+
+  it('A node that ignores SIGINT is killed once when the deadline passes', async function () {
+    await node.start()
+    node.readyTimeoutMs = 100
+
+    const { kill } = process
+    const signals = []
+    process.kill = (pid, name) => {
+      signals.push(name)
+      // nodeos stuck while flushing its state
+      return name === 'SIGINT' ? true : kill.call(process, pid, name)
+    }
+    try {
+      await node.stop()
+    } finally {
+      process.kill = kill
+    }
+
+    expect(signals.filter(s => s === 'SIGKILL')).to.have.lengthOf(1)
+    expect(await node.isRunning()).to.equal(false)
+    expect(fs.existsSync(node.pidFile)).to.equal(false)
+  })
+
+  it('A node that exits before it is signalled is stopped', async function () {
+    await node.start()
+    const pid = node.readPid()
+
+    const { kill } = process
+    process.kill = (target, name) => {
+      if (name === 'SIGINT') {
+        kill.call(process, target, 'SIGKILL')
+        throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' })
+      }
+      return kill.call(process, target, name)
+    }
+    try {
+      await node.stop()
+    } finally {
+      process.kill = kill
+    }
+
+    expect(fs.existsSync(node.pidFile)).to.equal(false)
+    expect(() => process.kill(pid, 0)).to.throw()
+  })
+
+  it('Snapshots bring the chain back to the state they were taken in', async function () {
+    await node.start()
+    await node.snapshot('ready')
+    const saved = Number(fs.readFileSync(join(node.snapshotPath('ready'), 'head'), 'utf8'))
+
+    await new Promise(resolve => setTimeout(resolve, 200))
+    const before = (await node.getInfo()).head_block_num
+    expect(before).to.be.above(saved + 5)
+
+    await node.restore('ready')
+    expect((await node.getInfo()).head_block_num).to.be.below(before)
+    expect(node.listSnapshots()).to.deep.equal(['ready'])
+  })
+
+  it('The chain stays at a snapshot until a transaction is pushed or the block time moves', async function () {
+    await node.start()
+    await node.snapshot('ready')
+    await new Promise(resolve => setTimeout(resolve, 100))
+    expect(await node.isAtSnapshot('ready')).to.equal(true)
+    expect(await node.isAtSnapshot('other')).to.equal(false)
+
+    await node.chainRequest('push_transaction')
+    expect(await node.isAtSnapshot('ready')).to.equal(false)
+
+    await node.restore('ready')
+    expect(await node.isAtSnapshot('ready')).to.equal(true)
+    await node.advanceTime(60)
+    expect(await node.isAtSnapshot('ready')).to.equal(false)
+
+    await node.restore('ready')
+    await node.reset()
+    expect(await node.isAtSnapshot('ready')).to.equal(false)
+  })
+
+  it('Reset starts a new chain', async function () {
+    await node.start()
+    await new Promise(resolve => setTimeout(resolve, 200))
+    await node.stop()
+
+    const { head_block_num } = await node.reset()
+    expect(head_block_num).to.be.below(10)
+  })
+
+  it('A node that does not produce blocks is reported', async function () {
+    fs.writeFileSync(node.binary, `#!${process.execPath}\nsetInterval(() => {}, 1000)\n`)
+    node.readyTimeoutMs = 200
+
+    let error
+    try {
+      await node.start()
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('did not produce blocks within 0.2s')
+  })
+
+  it('Block time moves forward and keeps the chain', async function () {
+    const chainTime = new ChainTime(node)
+    await node.start()
+
+    const before = await chainTime.now()
+    const head = (await node.getInfo()).head_block_num
+
+    const after = await chainTime.advanceDays(3)
+
+    expect(after.getTime() - before.getTime()).to.be.at.least(3 * SECONDS_PER_DAY * 1000)
+    expect((await node.getInfo()).head_block_num).to.be.at.least(head)
+    expect(node.getTimeOffset()).to.equal(3 * SECONDS_PER_DAY)
+
+    await node.reset()
+    expect(node.getTimeOffset()).to.equal(0)
+    expect((await chainTime.now()).getTime()).to.be.below(after.getTime())
+  })
+
+  it('Snapshots keep the block time they were taken with', async function () {
+    const chainTime = new ChainTime(node)
+    await node.start()
+    await node.snapshot('before')
+
+    await chainTime.advanceDays(3)
+    await node.snapshot('after')
+    await chainTime.advanceDays(1)
+
+    await node.restore('before')
+    expect(node.getTimeOffset()).to.equal(0)
+    expect((await chainTime.now()).getTime()).to.be.below(Date.now() + 60000)
+
+    await node.restore('after')
+    expect(node.getTimeOffset()).to.equal(3 * SECONDS_PER_DAY)
+    expect(fs.existsSync(join(node.dataDir, 'time-offset'))).to.equal(false)
+  })
+
+  it('Block time can not go back', async function () {
+    let error
+    try {
+      await node.advanceTime(-60)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('Block time can only move forward, got -60 seconds')
+  })
+
+  it('A missing libfaketime is reported', async function () {
+    node.faketimeLib = join(dir, 'libfaketime.so.1')
+    await node.start()
+
+    let error
+    try {
+      await node.advanceTime(60)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include(`libfaketime not found at ${node.faketimeLib}`)
+    expect(await node.isRunning()).to.equal(true)
+    expect(node.getTimeOffset()).to.equal(0)
+  })
+
+})
@@ -0,0 +1,63 @@
+const { parseMsigArgs, buildProposal, getProposalCommands } = require('../scripts/msig')
+
+const expect = require('chai').expect
+
+describe('Tests for msig proposals', function () {
+
+  it('Msig options are removed from the command arguments', function () {
+    const { args, msig } = parseMsigArgs(['run', 'proposals', '--msig', 'erick.bk', '--approvers', 'alice,bob@owner', '--proposal', 'dhoupgrade1'])
+
+    expect(args).to.deep.equal(['run', 'proposals'])
+    expect(msig).to.deep.equal({
+      proposer: { actor: 'erick.bk', permission: 'active' },
+      approvers: [{ actor: 'alice', permission: 'active' }, { actor: 'bob', permission: 'owner' }],
+      proposalName: 'dhoupgrade1',
+      expireDays: 7
+    })
+  })
+
+  it('Commands run directly without --msig', function () {
+    expect(parseMsigArgs(['set', 'permissions'])).to.deep.equal({ args: ['set', 'permissions'], msig: null })
+  })
+
+  it('A proposal name is generated when none is given', function () {
+    const { msig } = parseMsigArgs(['init', '--msig', 'erick.bk', '--approvers', 'alice'])
+    expect(msig.proposalName).to.match(/^dho[a-z1-5]{9}$/)
+  })
+
+  it('Invalid msig options are rejected', function () {
+    expect(() => parseMsigArgs(['init', '--msig', 'erick.bk'])).to.throw('--msig needs --approvers a,b,c')
+    expect(() => parseMsigArgs(['init', '--approvers', 'alice'])).to.throw('--approvers can only be used with --msig <proposer>')
+    expect(() => parseMsigArgs(['init', '--msig', '--approvers', 'alice'])).to.throw('--msig expects a value')
+    expect(() => parseMsigArgs(['init', '--msig', 'erick.bk', '--approvers', 'Alice'])).to.throw('Invalid permission level Alice')
+    expect(() => parseMsigArgs(['init', '--msig', 'erick.bk', '--approvers', 'alice', '--expire-days', '0'])).to.throw('Invalid --expire-days 0')
+  })
+
+  it('Review, approve and exec commands are given for each approver', function () {
+    const { msig } = parseMsigArgs(['init', '--msig', 'erick.bk', '--approvers', 'alice,bob@owner', '--proposal', 'dhoupgrade1'])
+    const commands = getProposalCommands(msig, 'logs/msig/local-dhoupgrade1.json')
+
+    expect(commands.propose).to.equal('cleos -u http://127.0.0.1:8888 push action eosio.msig propose logs/msig/local-dhoupgrade1.json -p erick.bk@active')
+    expect(commands.review).to.equal('cleos -u http://127.0.0.1:8888 multisig review erick.bk dhoupgrade1')
+    expect(commands.approve).to.deep.equal([
+      `cleos -u http://127.0.0.1:8888 multisig approve erick.bk dhoupgrade1 '{"actor":"alice","permission":"active"}' -p alice@active`,
+      `cleos -u http://127.0.0.1:8888 multisig approve erick.bk dhoupgrade1 '{"actor":"bob","permission":"owner"}' -p bob@owner`
+    ])
+    expect(commands.exec).to.equal('cleos -u http://127.0.0.1:8888 multisig exec erick.bk dhoupgrade1 -p erick.bk@active')
+  })
+
+  it('The proposer signs with the permission given to --msig', async function () {
+    const { msig } = parseMsigArgs(['init', '--msig', 'dao@propose', '--approvers', 'alice', '--proposal', 'dhoupgrade1'])
+    expect(msig.proposer).to.deep.equal({ actor: 'dao', permission: 'propose' })
+
+    const commands = getProposalCommands(msig, 'logs/msig/local-dhoupgrade1.json')
+    expect(commands.propose).to.equal('cleos -u http://127.0.0.1:8888 push action eosio.msig propose logs/msig/local-dhoupgrade1.json -p dao@propose')
+    expect(commands.review).to.equal('cleos -u http://127.0.0.1:8888 multisig review dao dhoupgrade1')
+    expect(commands.exec).to.equal('cleos -u http://127.0.0.1:8888 multisig exec dao dhoupgrade1 -p dao@propose')
+
+    const { propose } = await buildProposal([], msig)
+    expect(propose.authorization).to.deep.equal([{ actor: 'dao', permission: 'propose' }])
+    expect(propose.data.proposer).to.equal('dao')
+  })
+
+})
@@ -0,0 +1,140 @@
+const eos = require('../scripts/eos')
+const { contractNames } = require('../scripts/config')
+const { auditAccounts, auditPermissions, renderPermissionTree } = require('../scripts/permissions-audit')
+
+const expect = require('chai').expect
+
+const key = 'EOS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV'
+
+const names = { referendums: 'eospropvotes', proposals: 'eosmakeprops' }
+
+const level = (actor, permission, weight = 1) => ({ permission: { actor, permission }, weight })
+
+const account = (active, { ownerKeys = [], others = [] } = {}) => ({
+  permissions: [
+    { perm_name: 'owner', parent: '', required_auth: { threshold: 1, keys: ownerKeys, accounts: [level('dao.admin', 'active')], waits: [] }, linked_actions: [] },
+    { perm_name: 'active', parent: 'owner', required_auth: { threshold: 1, keys: [], waits: [], ...active }, linked_actions: [] },
+    ...others
+  ]
+})
+
+const desired = (accountName, accounts) => ({
+  account: accountName,
+  permissions: {
+    active: { parent: 'owner', threshold: 1, keys: [], accounts: accounts.map(actor => ({ actor, weight: 1 })), waits: [] }
+  },
+  links: []
+})
+
+const profile = [
+  desired('eospropvotes', ['eosmakeprops@active']),
+  desired('eosmakeprops', ['eosmakeprops@eosio.code'])
+]
+
+describe('Tests for the permissions audit', function () {
+
+  it('A profile compliant setup has no findings', function () {
+    const accounts = {
+      eospropvotes: account({ accounts: [level('eosmakeprops', 'active')] }),
+      eosmakeprops: account({ accounts: [level('eosmakeprops', 'eosio.code')] })
+    }
+
+    expect(auditAccounts(accounts, { names, desired: profile, local: false })).to.be.empty
+  })
+
+  it('Owner keys, missing eosio.code and unknown permissions are flagged', function () {
+    const accounts = {
+      eospropvotes: account({ accounts: [] }, {
+        ownerKeys: [{ key, weight: 1 }],
+        others: [{ perm_name: 'manual', parent: 'active', required_auth: { threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] } }]
+      }),
+      eosmakeprops: account({ accounts: [] }),
+      'eosio.token': account({ accounts: [] })
+    }
+
+    const messages = auditAccounts(accounts, { names, desired: profile, local: false }).map(({ level, message }) => `${level}: ${message}`)
+
+    expect(messages).to.include(`warning: key ${key} controls eospropvotes@owner directly, it can sign alone`)
+    expect(messages).to.include('warning: chain differs from the profile, plan would delete eospropvotes@manual')
+    expect(messages).to.include('warning: chain differs from the profile, plan would update eosmakeprops@active')
+    expect(messages).to.include('info: eosio.token is not managed by the chain profile')
+    expect(messages).to.include('error: eospropvotes@active is not satisfied by eosmakeprops@eosio.code, VotingPhase::start_impl needs it to send referendums::create and referendums::start')
+  })
+
+  it('Owner keys are only info on the local node', function () {
+    const accounts = {
+      eospropvotes: account({ accounts: [level('eosmakeprops', 'active')] }, { ownerKeys: [{ key, weight: 1 }] }),
+      eosmakeprops: account({ accounts: [level('eosmakeprops', 'eosio.code')] })
+    }
+
+    expect(auditAccounts(accounts, { names, desired: profile, local: true })).to.deep.equal([
+      { level: 'info', account: 'eospropvotes', message: `key ${key} controls eospropvotes@owner directly, it can sign alone` }
+    ])
+  })
+
+  it('Only errors make the audit fail', async function () {
+    const { get_account } = eos.rpc
+    const { log } = console
+    const { proposals, referendums } = contractNames
+    let referendumsActive
+
+    eos.rpc.get_account = async name => account(name === referendums ? referendumsActive : { accounts: [] }, { ownerKeys: [{ key, weight: 1 }] })
+    console.log = () => {}
+    try {
+      referendumsActive = { accounts: [level(proposals, 'eosio.code')] }
+      const findings = await auditPermissions()
+      expect(findings.map(f => f.level)).to.include('warning')
+      expect(process.exitCode).to.equal(undefined)
+
+      referendumsActive = { accounts: [] }
+      await auditPermissions()
+      expect(process.exitCode).to.equal(1)
+    } finally {
+      eos.rpc.get_account = get_account
+      console.log = log
+      process.exitCode = undefined
+    }
+  })
+
+  it('Accounts the plan can not reconcile are reported and the audit goes on', function () {
+    const accounts = {
+      eospropvotes: account({ accounts: [level('eosmakeprops', 'active')] }, {
+        others: [{ perm_name: 'voting', parent: 'owner', required_auth: { threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] } }]
+      }),
+      eosmakeprops: account({ accounts: [] })
+    }
+    const votingProfile = [
+      {
+        ...profile[0],
+        permissions: {
+          ...profile[0].permissions,
+          voting: { parent: 'active', threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] }
+        }
+      },
+      profile[1]
+    ]
+
+    const messages = auditAccounts(accounts, { names, desired: votingProfile }).map(({ level, message }) => `${level}: ${message}`)
+
+    expect(messages).to.include('error: chain can not be brought to the profile: The parent of eospropvotes@voting can not be changed from owner to active, delete the permission first')
+    expect(messages).to.include('warning: chain differs from the profile, plan would update eosmakeprops@active')
+  })
+
+  it('The permission tree lists children under their parent', function () {
+    const info = account({ accounts: [level('eosmakeprops', 'active')] }, {
+      others: [{ perm_name: 'voter', parent: 'active', required_auth: { threshold: 2, keys: [{ key, weight: 1 }], accounts: [], waits: [{ wait_sec: 60, weight: 1 }] }, linked_actions: [{ account: 'eospropvotes', action: 'vote' }] }]
+    })
+
+    expect(renderPermissionTree(info)).to.deep.equal([
+      '  owner (threshold 1)',
+      '    account dao.admin@active (weight 1)',
+      '    active (threshold 1)',
+      '      account eosmakeprops@active (weight 1)',
+      '      voter (threshold 2)',
+      `        key ${key} (weight 1)`,
+      '        wait 60s (weight 1)',
+      '        linked eospropvotes::vote'
+    ])
+  })
+
+})
@@ -0,0 +1,178 @@
+const { getPermissionChanges, groupChanges, resolveKey } = require('../scripts/permissions')
+const { devKey } = require('../scripts/config')
+const { loadProfile } = require('../scripts/chain-profiles')
+
+const expect = require('chai').expect
+
+const key = 'EOS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV'
+const otherKey = 'EOS5MprXDV5ybj2m211z7JdUSnDa4dpScBYKUvi5V9LYx3jGMwAnN'
+
+const keyAuth = k => ({ threshold: 1, keys: [{ key: k, weight: 1 }], accounts: [], waits: [] })
+
+const desiredAccount = ({ permissions = {}, links = [] } = {}) => ({
+  account: 'eosmakeprops',
+  permissions: {
+    active: {
+      parent: 'owner',
+      threshold: 1,
+      keys: [{ key, weight: 1 }],
+      accounts: [{ actor: 'eosmakeprops@eosio.code', weight: 1 }],
+      waits: []
+    },
+    ...permissions
+  },
+  links
+})
+
+const chainAccount = ({ active = keyAuth(key), others = [] } = {}) => ({
+  permissions: [
+    { perm_name: 'owner', parent: '', required_auth: keyAuth(key), linked_actions: [] },
+    { perm_name: 'active', parent: 'owner', required_auth: active, linked_actions: [] },
+    ...others
+  ]
+})
+
+const currentActive = {
+  threshold: 1,
+  keys: [{ key, weight: 1 }],
+  accounts: [{ permission: { actor: 'eosmakeprops', permission: 'eosio.code' }, weight: 1 }],
+  waits: []
+}
+
+const summary = changes => changes.map(({ action }) => `${action.name} ${action.data.permission || action.data.type}`)
+
+describe('Tests for permission reconciliation', function () {
+
+  it('Nothing changes when the chain matches the profile', function () {
+    const active = {
+      threshold: 1,
+      keys: [{ key: 'PUB_K1_6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5BoDq63', weight: 1 }],
+      accounts: [{ permission: { actor: 'eosmakeprops', permission: 'eosio.code' }, weight: 1 }],
+      waits: []
+    }
+
+    expect(getPermissionChanges(desiredAccount(), chainAccount({ active }))).to.be.empty
+  })
+
+  it('Authorities are replaced, not appended to', function () {
+    const active = {
+      threshold: 1,
+      keys: [{ key, weight: 1 }, { key: otherKey, weight: 1 }],
+      accounts: [{ permission: { actor: 'eospropvotes', permission: 'active' }, weight: 1 }],
+      waits: []
+    }
+
+    const [change, ...rest] = getPermissionChanges(desiredAccount(), chainAccount({ active }))
+
+    expect(rest).to.be.empty
+    expect(change.action.name).to.equal('updateauth')
+    expect(change.action.authorization).to.deep.equal([{ actor: 'eosmakeprops', permission: 'owner' }])
+    expect(change.action.data.auth).to.deep.equal({
+      threshold: 1,
+      keys: [{ key, weight: 1 }],
+      accounts: [{ permission: { actor: 'eosmakeprops', permission: 'eosio.code' }, weight: 1 }],
+      waits: []
+    })
+  })
+
+  it('Parents are created first and stale permissions deleted children first', function () {
+    const desired = desiredAccount({
+      permissions: {
+        voter: { parent: 'manager', threshold: 2, keys: [{ key, weight: 1 }], accounts: [], waits: [{ wait_sec: 3600, weight: 1 }] },
+        manager: { parent: 'active', threshold: 1, keys: [{ key: otherKey, weight: 1 }], accounts: [], waits: [] }
+      },
+      links: [{ code: 'eosmakeprops', action: 'create', permission: 'voter' }]
+    })
+
+    const chain = chainAccount({
+      active: currentActive,
+      others: [
+        { perm_name: 'old', parent: 'active', required_auth: keyAuth(key), linked_actions: [{ account: 'eosmakeprops', action: 'update' }] },
+        { perm_name: 'oldchild', parent: 'old', required_auth: keyAuth(key), linked_actions: [] }
+      ]
+    })
+
+    expect(summary(getPermissionChanges(desired, chain))).to.deep.equal([
+      'updateauth manager',
+      'updateauth voter',
+      'linkauth create',
+      'unlinkauth update',
+      'deleteauth oldchild',
+      'deleteauth old'
+    ])
+  })
+
+  it('Links are updated when they point to another permission', function () {
+    const desired = desiredAccount({
+      permissions: { voter: { parent: 'active', threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] } },
+      links: [{ code: 'eosmakeprops', action: 'create', permission: 'voter' }]
+    })
+    const chain = chainAccount({ active: currentActive })
+    chain.permissions[1].linked_actions = [{ account: 'eosmakeprops', action: 'create' }]
+
+    expect(summary(getPermissionChanges(desired, chain))).to.deep.equal(['updateauth voter', 'linkauth create'])
+  })
+
+  it('Custom permissions are created in one transaction with their links', function () {
+    const desired = desiredAccount({
+      permissions: {
+        mover: { parent: 'active', threshold: 1, keys: [{ key: otherKey, weight: 1 }], accounts: [], waits: [] },
+        payer: { parent: 'active', threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] }
+      },
+      links: [
+        { code: 'eosmakeprops', action: 'move', permission: 'mover' },
+        { code: 'eosio.token', action: 'transfer', permission: 'payer' }
+      ]
+    })
+
+    const steps = groupChanges(getPermissionChanges(desired, chainAccount({ active: currentActive })))
+
+    expect(steps.map(({ description }) => description)).to.deep.equal([
+      'create eosmakeprops@mover, link eosmakeprops::move to eosmakeprops@mover',
+      'create eosmakeprops@payer, link eosio.token::transfer to eosmakeprops@payer'
+    ])
+    expect(steps[1].actions[1].data).to.deep.equal({ account: 'eosmakeprops', code: 'eosio.token', type: 'transfer', requirement: 'payer' })
+  })
+
+  it('Links are sent on their own when the node does not report them', function () {
+    const desired = desiredAccount({
+      permissions: { mover: { parent: 'active', threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] } },
+      links: [{ code: 'eosmakeprops', action: 'move', permission: 'mover' }]
+    })
+    const chain = chainAccount({ active: currentActive })
+    chain.permissions.forEach(p => delete p.linked_actions)
+
+    expect(groupChanges(getPermissionChanges(desired, chain)).map(({ actions }) => actions.length)).to.deep.equal([1, 1])
+  })
+
+  it('Changing the parent of a permission is reported', function () {
+    const desired = desiredAccount({
+      permissions: { voter: { parent: 'owner', threshold: 1, keys: [{ key, weight: 1 }], accounts: [], waits: [] } }
+    })
+    const chain = chainAccount({
+      others: [{ perm_name: 'voter', parent: 'active', required_auth: keyAuth(key), linked_actions: [] }]
+    })
+
+    expect(() => getPermissionChanges(desired, chain)).to.throw('can not be changed from active to owner')
+  })
+
+  it('The {publicKey} placeholder is the dev key only on the local node', function () {
+    expect(resolveKey('{publicKey}', { local: true })).to.equal(devKey)
+    expect(resolveKey('{publicKey}', { local: false, publicKey: otherKey })).to.equal(otherKey)
+    expect(resolveKey(otherKey, { local: false })).to.equal(otherKey)
+
+    expect(() => resolveKey('{publicKey}', { local: false })).to.throw('PUBLIC_KEY is not set')
+    expect(() => resolveKey('{publicKey}', { local: false, publicKey: devKey })).to.throw('PUBLIC_KEY is the public dev key')
+  })
+
+  it('Remote profiles do not give the active permissions to a key placeholder', function () {
+    for (const name of ['eosMainnet', 'jungleTestnet', 'telosTestnet']) {
+      const { owner, permissions } = loadProfile(name)
+      for (const { account, permissions: declared } of permissions) {
+        expect(declared.active.keys, `${name} ${account}`).to.be.empty
+        expect(declared.active.accounts, `${name} ${account}`).to.deep.include({ actor: `${owner}@active`, weight: 1 })
+      }
+    }
+  })
+
+})
@@ -0,0 +1,160 @@
+const deploy = require('../scripts/deploy')
+const permissions = require('../scripts/permissions')
+const contractSettings = require('../scripts/contract-settings')
+const { settingAction, phasesAction } = contractSettings
+const { getPlan, plan } = require('../scripts/plan')
+const { contractNames } = require('../scripts/config')
+
+const expect = require('chai').expect
+
+const wasm = Buffer.from('0061736d01000000', 'hex')
+const abi = { version: 'eosio::abi/1.1', structs: [], actions: [] }
+
+describe('Tests for deployment plans', function () {
+
+  const { isAccountCreated, getDeploymentChanges } = deploy
+  const { getPermissionActions } = permissions
+  const { getConfigChanges, getPhasesChanges } = contractSettings
+  const { log } = console
+
+  let chain, calls
+
+  beforeEach(function () {
+    // every contract is deployed and up to date unless a test says otherwise
+    chain = { missing: [], code: [], abi: [] }
+    calls = {}
+
+    deploy.isAccountCreated = async account => !chain.missing.includes(account)
+    deploy.getDeploymentChanges = async contract => {
+      const missing = chain.missing.includes(contract.nameOnChain)
+      return {
+        wasm,
+        abi,
+        localCodeHash: 'a'.repeat(64),
+        chainCodeHash: missing ? '0'.repeat(64) : 'b'.repeat(64),
+        codeChanged: missing || chain.code.includes(contract.name),
+        abiChanged: missing || chain.abi.includes(contract.name)
+      }
+    }
+    permissions.getPermissionActions = async pendingAccounts => {
+      calls.pendingAccounts = pendingAccounts
+      return []
+    }
+    contractSettings.getConfigChanges = async options => {
+      calls.config = options
+      return []
+    }
+    contractSettings.getPhasesChanges = async options => {
+      calls.phases = options
+      return []
+    }
+  })
+
+  afterEach(function () {
+    deploy.isAccountCreated = isAccountCreated
+    deploy.getDeploymentChanges = getDeploymentChanges
+    permissions.getPermissionActions = getPermissionActions
+    contractSettings.getConfigChanges = getConfigChanges
+    contractSettings.getPhasesChanges = getPhasesChanges
+    console.log = log
+  })
+
+  it('A chain that matches the intended state has an empty plan', async function () {
+    expect(await getPlan()).to.deep.equal([])
+    expect(calls.config).to.deep.equal({ deployed: true })
+    expect(calls.phases).to.deep.equal({ deployed: true })
+  })
+
+  it('Steps are grouped by contract, then permissions, settings and phases', async function () {
+    chain.code.push('referendums')
+    chain.abi.push('referendums', 'proposals')
+
+    permissions.getPermissionActions = async () => [{
+      description: 'update eosmakeprops@active',
+      actions: [{ account: 'eosio', name: 'updateauth', authorization: [], data: {} }]
+    }]
+    contractSettings.getConfigChanges = async () => [{
+      description: 'main.minstake: (unset) -> "10.0000 EOS"',
+      action: settingAction('main', 'minstake', '10.0000 EOS')
+    }]
+    contractSettings.getPhasesChanges = async () => [{
+      description: 'main phases: (unset) -> debate(-1)',
+      action: phasesAction('main', [{ phase_name: 'debate', duration_days: -1, type: 'dialog' }])
+    }]
+
+    const steps = await getPlan()
+
+    expect(steps.map(s => s.description)).to.deep.equal([
+      `set code on ${contractNames.referendums} (${'b'.repeat(64)} -> ${'a'.repeat(64)})`,
+      `set abi on ${contractNames.referendums}`,
+      `set abi on ${contractNames.proposals}`,
+      'update eosmakeprops@active',
+      'main.minstake: (unset) -> "10.0000 EOS"',
+      'main phases: (unset) -> debate(-1)'
+    ])
+    expect(steps.map(s => s.actions.map(a => `${a.account}::${a.name}`))).to.deep.equal([
+      ['eosio::setcode'],
+      ['eosio::setabi'],
+      ['eosio::setabi'],
+      ['eosio::updateauth'],
+      [`${contractNames.proposals}::setgparam`],
+      [`${contractNames.proposals}::setpconfig`]
+    ])
+  })
+
+  it('Missing accounts are created and settings are planned as if the contract were empty', async function () {
+    chain.missing.push(contractNames.proposals)
+
+    const steps = await getPlan()
+
+    expect(steps.map(s => s.description)).to.deep.equal([
+      `create account ${contractNames.proposals}`,
+      `set code on ${contractNames.proposals} (${'0'.repeat(64)} -> ${'a'.repeat(64)})`,
+      `set abi on ${contractNames.proposals}`
+    ])
+    expect(Object.keys(calls.pendingAccounts)).to.deep.equal([contractNames.proposals])
+    expect(calls.config).to.deep.equal({ deployed: false })
+    expect(calls.phases).to.deep.equal({ deployed: false })
+  })
+
+  it('A plan for one contract only has its own steps', async function () {
+    chain.code.push('referendums', 'proposals')
+
+    const steps = await getPlan('proposals')
+
+    expect(steps.map(s => s.description)).to.deep.equal([
+      `set code on ${contractNames.proposals} (${'b'.repeat(64)} -> ${'a'.repeat(64)})`
+    ])
+    expect(calls).to.deep.equal({})
+
+    let error
+    try {
+      await getPlan('unknown')
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('contract unknown not found')
+  })
+
+  it('The printed plan numbers the steps and summarizes their actions', async function () {
+    chain.code.push('proposals')
+    contractSettings.getConfigChanges = async () => [{
+      description: 'main.minstake: (unset) -> "10.0000 EOS"',
+      action: settingAction('main', 'minstake', '10.0000 EOS')
+    }]
+
+    const lines = []
+    console.log = (...args) => lines.push(args.join(' '))
+    const steps = await plan()
+    console.log = log
+
+    expect(steps).to.have.lengthOf(2)
+    const output = lines.join('\n')
+    expect(output).to.include(`1. set code on ${contractNames.proposals}`)
+    expect(output).to.include(`<${wasm.length} bytes, sha256 93a44bbb96c751218e4c00d479e4c14358122a389acca16205b1e4d0dc5f9476>`)
+    expect(output).to.include('2. main.minstake: (unset) -> "10.0000 EOS"')
+    expect(output).to.include(`"authorization": "${contractNames.proposals}@active"`)
+    expect(lines[lines.length - 1]).to.equal('2 step(s), no transaction was sent')
+  })
+
+})
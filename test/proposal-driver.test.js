@@ -0,0 +1,204 @@
+const queries = require('../scripts/queries')
+const { Asset } = require('../scripts/eosio-util')
+const { ProposalDriver } = require('./util/ProposalDriver')
+
+const expect = require('chai').expect
+
+// keeps proposals, referendums and balances in memory and moves proposals the
+// way src/transitions and src/phases do
+function fakeChain() {
+  const chain = { proposals: [], referendums: {}, balances: {}, votes: [] }
+
+  chain.config = {
+    main: [
+      { setting: 'minstake', value: ['asset', '10.0000 EOS'] },
+      { setting: 'quorum', value: ['asset', '10000.0000 EOS'] }
+    ]
+  }
+  const phasesConfig = {
+    main: [
+      { phase: 'debate', type: 'dialog' },
+      { phase: 'prevote', type: 'voting' },
+      { phase: 'vote', type: 'voting' }
+    ]
+  }
+
+  const balance = account => chain.balances[account] || Asset.zero('4,EOS')
+
+  const startPhase = (proposal, position) => {
+    const phase = proposal.phases[position]
+    proposal.current_phase = phase.phase
+    if (phase.type === 'voting') {
+      const referendumId = Object.keys(chain.referendums).length + 1
+      chain.referendums[referendumId] = { referendum_id: referendumId, creator: proposal.creator, status: 'started', tally: { yes: 0n, no: 0n, abstain: 0n } }
+      proposal.referendumIds[phase.phase] = referendumId
+    }
+  }
+
+  chain.contracts = {
+    token: {
+      issue: async (issuer, amount) => { chain.balances[issuer] = balance(issuer).add(amount) },
+      transfer: async (from, to, amount) => {
+        chain.balances[from] = balance(from).subtract(amount)
+        chain.balances[to] = balance(to).add(amount)
+      }
+    },
+    proposals: {
+      create: async params => {
+        const args = Object.fromEntries(params.map(({ key, value }) => [key, value[1]]))
+        expect(balance(args.creator).gte('10.0000 EOS')).to.equal(true)
+        chain.proposals.push({
+          proposal_id: chain.proposals.length + 1,
+          creator: args.creator,
+          type: args.type,
+          status: 'open',
+          current_phase: phasesConfig[args.type][0].phase,
+          phases: phasesConfig[args.type].map(p => ({ ...p, duration_days: -1 })),
+          referendumIds: {}
+        })
+      },
+      move: async proposalId => {
+        const proposal = chain.proposals[proposalId - 1]
+        const position = proposal.phases.findIndex(p => p.phase === proposal.current_phase)
+        const last = position === proposal.phases.length - 1
+
+        if (proposal.phases[position].type === 'voting') {
+          const { status } = chain.referendums[proposal.referendumIds[proposal.current_phase]]
+          if (status === 'started') {
+            throw new Error('proposal can not end, the associated referendum is still in progress')
+          }
+          if (status === 'rejected' || last) {
+            proposal.status = status === 'rejected' ? 'rejected' : 'approved'
+          }
+        }
+        proposal.current_phase = 'nophase'
+
+        if (!last) {
+          if (proposal.status !== 'open') {
+            throw new Error('phase is not ready to start')
+          }
+          startPhase(proposal, position + 1)
+        }
+      }
+    },
+    referendums: {
+      vote: async (referendumId, voter, option) => {
+        chain.referendums[referendumId].tally[option] += balance(voter).amount
+        chain.votes.push({ referendumId, voter, option, amount: balance(voter).toString() })
+      },
+      finish: async referendumId => {
+        const referendum = chain.referendums[referendumId]
+        const { yes, no, abstain } = referendum.tally
+        const quorum = yes + no + abstain >= Asset.from('10000.0000 EOS').amount
+        referendum.status = quorum && yes * 10000n / (yes + no) >= 80n ? 'accepted' : 'rejected'
+      }
+    }
+  }
+
+  // actions built through the contracts run in order when the batch is sent
+  for (const [account, actions] of Object.entries(chain.contracts)) {
+    for (const [name, action] of Object.entries(actions)) {
+      action.build = (...args) => ({ account, name, args })
+    }
+  }
+  chain.transactions = 0
+  chain.createBatch = () => {
+    const actions = []
+    return {
+      add(...added) {
+        actions.push(...added.flat())
+        return this
+      },
+      send: async () => {
+        chain.transactions++
+        for (const { account, name, args } of actions) {
+          await chain.contracts[account][name](...args)
+        }
+      }
+    }
+  }
+
+  return chain
+}
+
+describe('Tests for the proposal driver', function () {
+
+  const { getProposal, getProposals, getConfig, getReferendum } = queries
+  let chain, accounts, createAccount
+
+  beforeEach(function () {
+    chain = fakeChain()
+    accounts = 0
+    createAccount = async () => `voter${++accounts}`
+
+    queries.getProposal = async proposalId => chain.proposals[proposalId - 1]
+    queries.getProposals = async () => chain.proposals.slice(-1)
+    queries.getConfig = async scope => chain.config[scope] || []
+    queries.getReferendum = async referendumId => chain.referendums[referendumId]
+  })
+
+  afterEach(function () {
+    queries.getProposal = getProposal
+    queries.getProposals = getProposals
+    queries.getConfig = getConfig
+    queries.getReferendum = getReferendum
+  })
+
+  it('A main proposal is driven through every phase until it is approved', async function () {
+    const driver = await ProposalDriver.create({ contracts: chain.contracts, creator: 'alice', createAccount, createBatch: chain.createBatch })
+
+    const proposal = await driver.advanceTo('approved')
+
+    expect(proposal.current_phase).to.equal('nophase')
+    // the create with its funding, then the votes of each referendum
+    expect(chain.transactions).to.equal(3)
+    expect(chain.votes).to.deep.equal([
+      { referendumId: 1, voter: 'voter1', option: 'yes', amount: '5000.0000 EOS' },
+      { referendumId: 1, voter: 'voter2', option: 'yes', amount: '5000.0000 EOS' },
+      { referendumId: 2, voter: 'voter3', option: 'yes', amount: '5000.0000 EOS' },
+      { referendumId: 2, voter: 'voter4', option: 'yes', amount: '5000.0000 EOS' }
+    ])
+  })
+
+  it('The driver stops at the target phase and can not go back', async function () {
+    const driver = await ProposalDriver.create({ contracts: chain.contracts, creator: 'alice', createAccount, createBatch: chain.createBatch })
+
+    await driver.advanceTo('prevote')
+    await driver.expectPhase('prevote')
+
+    let error
+    try {
+      await driver.advanceTo('debate')
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('Proposal 1 can not reach debate, it is open in phase prevote')
+  })
+
+  it('Vote mixes are applied by phase and the last referendum rejects the proposal', async function () {
+    const driver = await ProposalDriver.create({ contracts: chain.contracts, creator: 'alice', createAccount, createBatch: chain.createBatch })
+
+    const proposal = await driver.advanceTo('rejected', { votes: { prevote: { yes: 2, no: 1, abstain: 1 } } })
+
+    expect(proposal.status).to.equal('rejected')
+    expect(chain.votes.map(v => `${v.referendumId} ${v.option} ${v.amount}`)).to.deep.equal([
+      '1 yes 2500.0000 EOS', '1 yes 2500.0000 EOS', '1 no 2500.0000 EOS', '1 abstain 2500.0000 EOS',
+      '2 no 5000.0000 EOS', '2 no 5000.0000 EOS'
+    ])
+  })
+
+  it('A move that leaves the proposal in an unexpected phase is reported', async function () {
+    const driver = await ProposalDriver.create({ contracts: chain.contracts, creator: 'alice', createAccount, createBatch: chain.createBatch })
+    chain.contracts.proposals.move = async () => {}
+
+    let error
+    try {
+      await driver.advanceTo('vote')
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('current_phase of proposal 1')
+    expect(error.message).to.include("expected 'debate' to equal 'prevote'")
+  })
+
+})
@@ -1,12 +1,10 @@
 const { rpc } = require('../scripts/eos')
-const { getContracts, createRandomAccount, Asset, formatTimePoint } = require('../scripts/eosio-util')
+const { getContracts } = require('../scripts/eosio-util')
 const { assertError } = require('../scripts/eosio-errors')
-const { contractNames, contracts: configContracts, isLocalNode, sleep } = require('../scripts/config')
-const { ProposalsFactory } = require('./util/ProposalsUtil')
-const { TokenUtil } = require('./util/TokenUtil')
-const { EnvironmentUtil } = require('./util/EnvironmentUtil')
-const { ConfigPhasesBuilder, ConfigGeneralBuilder, ConfigEngineer } = require('./util/ConfigUtil')
-const { ReferendumConstants } = require('./util/ReferendumsUtil')
+const { contractNames, isLocalNode } = require('../scripts/config')
+const { ProposalsFactory, TokenUtil, EnvironmentUtil, ConfigGeneralBuilder, ConfigEngineer } = require('../scripts/sdk')
+const { fixtures } = require('./util/Fixtures')
+const { ProposalDriver } = require('./util/ProposalDriver')
 
 const expect = require('chai').expect
 
@@ -14,52 +12,12 @@ const { proposals, token, referendums } = contractNames
 
 
 
-async function passReferendum(contracts, proposalId) {
-  const amounts = [100000, 50000]
-
-  const proposalsTable = await rpc.get_table_rows({
-    code: proposals,
-    scope: proposals,
-    table: 'proposals',
-    json: true
-  })
-
-  const proposal = proposalsTable.rows.filter(r => r.proposal_id === proposalId)[0]
-  let referendumId = 0
-
-  for (let i = proposal.special_attributes.length - 1; i >= 0; i--) {
-    const { key, value } = proposal.special_attributes[i]
-
-    if (key.includes('referendum_id')) {
-      referendumId = value[1]
-      break
-    }
-  }
-
-  console.log('referendum found:', referendumId)
-
-  if (referendumId === 0) return
-
-  for (let i = 0; i < amounts.length; i++) {
-    const voter = await createRandomAccount()
-
-    const assetAmount = new Asset(amounts[i], TokenUtil.tokenCode, TokenUtil.tokenPrecision)
-    await TokenUtil.issue({ amount: assetAmount.toString(), issuer: token, contract: contracts.token })
-    await contracts.token.transfer(token, voter, assetAmount.toString(), '', { authorization: `${token}@active` })
-
-    await contracts.referendums.vote(referendumId, voter, ReferendumConstants.VoteFavour, { authorization: `${voter}@active` })
-  }
-
-  await contracts.referendums.finish(referendumId, { authorization: `${referendums}@active` })
-}
-
-
 
 describe('Tests for extend debate proposals', async function () {
 
   let contracts
 
-  let main_proposal, minstake
+  let mainDriver, minstake
 
   before(async function () {
     if (!isLocalNode()) {
@@ -67,50 +25,33 @@ describe('Tests for extend debate proposals', async function () {
       process.exit(1)
     }
 
-    await EnvironmentUtil.initNode()
-    await sleep(4000)
-    await EnvironmentUtil.deployContracts(configContracts)
-    await EnvironmentUtil.updatePermissions()
+    await fixtures.load('dao-ready')
 
     contracts = await getContracts([proposals, token, referendums])
 
-    await TokenUtil.create({
-      issuer: token,
-      maxSupply: `1000000000000.0000 ${TokenUtil.tokenCode}`,
-      contractAccount: token,
-      contract: contracts.token
-    })
-
     const configEngineerGeneral = new ConfigEngineer(new ConfigGeneralBuilder(contracts.proposals, proposals))
-    await configEngineerGeneral.execute({})
-
-    const configEngineerPhases = new ConfigEngineer(new ConfigPhasesBuilder(contracts.proposals, proposals))
-    await configEngineerPhases.execute({})
-
 
-    // create a global main proposal to test
-
-    main_proposal = await ProposalsFactory.createMainWithDefaults({})
 
     const configUtil = await configEngineerGeneral.execute({})
 
     minstake = configUtil.config['main']['minstake'][1]
 
-    await TokenUtil.issue({ amount: minstake, issuer: token, contract: contracts.token })
-    await contracts.token.transfer(token, main_proposal.params.creator, minstake, 'initial supply for creating a proposal', { authorization: `${token}@active` })
-
+    // create a global main proposal to test
+    mainDriver = await ProposalDriver.create({ contracts })
 
-    await contracts.proposals.create(main_proposal.getActionParams(), { authorization: `${main_proposal.params.creator}@active` })
 
 
 
+  })
 
+  after(async function () {
+    await EnvironmentUtil.killNode()
   })
   /*
     it('An account can not create an extend dabate when main proposal is not on debate phase', async function () {
       
       // Arrange
-      await contracts.proposals.move(1, { authorization: `${main_proposal.params.creator}@active` })
+      await contracts.proposals.move(1, { authorization: `${mainDriver.creator}@active` })
       const proposal_extend_debate = await ProposalsFactory.createExtendDebateWithDefaults({})
   
       await TokenUtil.issue({ amount: minstake, issuer: token, contract: contracts.token })
@@ -152,7 +93,7 @@ describe('Tests for extend debate proposals', async function () {
     console.log(phases)
 
 
-    await passReferendum(contracts, 1)
+    await mainDriver.expectPhase('debate')
 
 
     const proposal_extend_debate = await ProposalsFactory.createExtendDebateWithDefaults({})
@@ -193,7 +134,7 @@ describe('Tests for extend debate proposals', async function () {
       }
     })
 
-    await passReferendum(contracts, 1)
+    await mainDriver.expectPhase('debate')
 
     const proposal_extend_debate = await ProposalsFactory.createExtendDebateWithDefaults({})
 
@@ -236,7 +177,7 @@ describe('Tests for extend debate proposals', async function () {
     console.log(phases)
 
 
-    await passReferendum(contracts, 1)
+    await mainDriver.expectPhase('debate')
 
     const proposal_extend_debate = await ProposalsFactory.createExtendDebateWithDefaults({})
 
@@ -248,7 +189,7 @@ describe('Tests for extend debate proposals', async function () {
 
     // Act
     try {
-      await contracts.proposals.move(1, { authorization: `${main_proposal.params.creator}@active` })
+      await contracts.proposals.move(1, { authorization: `${mainDriver.creator}@active` })
     } catch (err) {
       error = err
     }
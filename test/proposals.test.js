@@ -1,12 +1,12 @@
 const { rpc } = require('../scripts/eos')
-const { getContracts, createRandomAccount, Asset, formatTimePoint } = require('../scripts/eosio-util')
+const queries = require('../scripts/queries')
+const { getContracts, Asset, formatTimePoint } = require('../scripts/eosio-util')
 const { assertError } = require('../scripts/eosio-errors')
-const { contractNames, contracts: configContracts, isLocalNode, sleep } = require('../scripts/config')
-const { ProposalsFactory } = require('./util/ProposalsUtil')
-const { TokenUtil } = require('./util/TokenUtil')
-const { EnvironmentUtil } = require('./util/EnvironmentUtil')
-const { ConfigPhasesBuilder, ConfigGeneralBuilder, ConfigEngineer } = require('./util/ConfigUtil')
-const { ReferendumConstants } = require('./util/ReferendumsUtil')
+const { contractNames, isLocalNode } = require('../scripts/config')
+const { ProposalsFactory, TokenUtil, EnvironmentUtil, ConfigGeneralBuilder, ConfigEngineer } = require('../scripts/sdk')
+const { fixtures } = require('./util/Fixtures')
+const { chainTime } = require('./util/ChainTime')
+const { ProposalDriver } = require('./util/ProposalDriver')
 
 const expect = require('chai').expect
 
@@ -14,46 +14,6 @@ const { proposals, token, referendums } = contractNames
 
 
 
-async function passReferendum(contracts, proposalId) {
-  const amounts = [100000, 50000]
-
-  const proposalsTable = await rpc.get_table_rows({
-    code: proposals,
-    scope: proposals,
-    table: 'proposals',
-    json: true
-  })
-
-  const proposal = proposalsTable.rows.filter(r => r.proposal_id === proposalId)[0]
-  let referendumId = 0
-
-  for (let i = proposal.special_attributes.length - 1; i >= 0; i--) {
-    const { key, value } = proposal.special_attributes[i]
-
-    if (key.includes('referendum_id')) {
-      referendumId = value[1]
-      break
-    }
-  }
-
-  console.log('referendum found:', referendumId)
-
-  if (referendumId === 0) return
-
-  for (let i = 0; i < amounts.length; i++) {
-    const voter = await createRandomAccount()
-
-    const assetAmount = new Asset(amounts[i], TokenUtil.tokenCode, TokenUtil.tokenPrecision)
-    await TokenUtil.issue({ amount: assetAmount.toString(), issuer: token, contract: contracts.token })
-    await contracts.token.transfer(token, voter, assetAmount.toString(), '', { authorization: `${token}@active` })
-
-    await contracts.referendums.vote(referendumId, voter, ReferendumConstants.VoteFavour, { authorization: `${voter}@active` })
-  }
-
-  await contracts.referendums.finish(referendumId, { authorization: `${referendums}@active` })
-}
-
-
 
 describe('Tests for main proposals', async function () {
 
@@ -65,28 +25,12 @@ describe('Tests for main proposals', async function () {
       process.exit(1)
     }
 
-    await EnvironmentUtil.initNode()
-    await sleep(4000)
-    await EnvironmentUtil.deployContracts(configContracts)
-    await EnvironmentUtil.updatePermissions()
+    await fixtures.load('dao-ready')
 
     contracts = await getContracts([proposals, token, referendums])
-
-    await TokenUtil.create({
-      issuer: token,
-      maxSupply: `1000000000000.0000 ${TokenUtil.tokenCode}`,
-      contractAccount: token,
-      contract: contracts.token
-    })
-
-    const configEngineerGeneral = new ConfigEngineer(new ConfigGeneralBuilder(contracts.proposals, proposals))
-    await configEngineerGeneral.execute({})
-
-    const configEngineerPhases = new ConfigEngineer(new ConfigPhasesBuilder(contracts.proposals, proposals))
-    await configEngineerPhases.execute({})
   })
 
-  afterEach(async function () {
+  after(async function () {
     await EnvironmentUtil.killNode()
   })
 
@@ -195,7 +139,6 @@ describe('Tests for main proposals', async function () {
         table: 'proposals',
         json: true
       })
-      console.log(JSON.stringify(proposalsTable, null, 4))
   
     })
   
@@ -231,31 +174,42 @@ describe('Tests for main proposals', async function () {
   
     })
   */
+  // referendums lists the status of the referendum of each voting phase the
+  // proposal has reached
   const phasesTests = [
     {
       testDescription: 'The main proposal can move from debate to prevote',
       data: {
         from: 'debate',
-        to: 'prevote'
+        to: 'prevote',
+        phase: 'prevote',
+        status: 'open',
+        referendums: { prevote: 'started' }
       }
     },
     {
       testDescription: 'The main proposal can move from prevote to vote',
       data: {
         from: 'prevote',
-        to: 'vote'
+        to: 'vote',
+        phase: 'vote',
+        status: 'open',
+        referendums: { prevote: 'accepted', vote: 'started' }
       }
     },
     {
       testDescription: 'The main proposal can finish vote and change status to accepted',
       data: {
         from: 'vote',
-        to: ''
+        to: 'approved',
+        phase: 'nophase',
+        status: 'approved',
+        referendums: { prevote: 'accepted', vote: 'accepted' }
       }
     }
   ]
 
-  phasesTests.forEach(({ testDescription, data }, index) => {
+  phasesTests.forEach(({ testDescription, data }) => {
 
     it(testDescription, async function () {
 
@@ -272,52 +226,58 @@ describe('Tests for main proposals', async function () {
         }
       })
 
-      const proposal = await ProposalsFactory.createMainWithDefaults({
-        phases
-      })
+      const driver = await ProposalDriver.create({ contracts, phases })
 
-      const configEngineerGeneral = new ConfigEngineer(new ConfigGeneralBuilder(contracts.proposals, proposals))
-      const configUtil = await configEngineerGeneral.execute({})
+      await driver.advanceTo(data.from)
 
-      const minstake = configUtil.config['main']['minstake'][1]
 
-      await TokenUtil.issue({ amount: minstake, issuer: token, contract: contracts.token })
-      await contracts.token.transfer(token, proposal.params.creator, minstake, 'initial supply for creating a proposal', { authorization: `${token}@active` })
+      // Act
+      const proposal = await driver.advanceTo(data.to)
 
-      await contracts.proposals.create(proposal.getActionParams(), { authorization: `${proposal.params.creator}@active` })
 
+      // Assert
+      expect(proposal.current_phase).to.equal(data.phase)
+      expect(proposal.status).to.equal(data.status)
 
-      for (let i = 0; i < index - 1; i++) {
-        await passReferendum(contracts, 1)
-        await contracts.proposals.move(1, { authorization: `${proposal.params.creator}@active` })
+      expect(Object.keys(proposal.referendumIds)).to.have.members(Object.keys(data.referendums))
+      for (const [phase, status] of Object.entries(data.referendums)) {
+        const referendum = await queries.getReferendum(proposal.referendumIds[phase])
+        expect(referendum.status).to.equal(status, `referendum of the ${phase} phase`)
       }
 
-      await passReferendum(contracts, 1)
-
+    })
 
-      // Act
-      // await contracts.proposals.move(1, { authorization: `${proposal.params.creator}@active` })
+  })
 
+  it('The creator moves a main proposal once the days of each phase have passed', async function () {
 
-      // Assert
-      const proposalsTable = await rpc.get_table_rows({
-        code: proposals,
-        scope: proposals,
-        table: 'proposals',
-        json: true
-      })
-      console.table(JSON.stringify(proposalsTable, null, 4))
+    // Arrange
+    await fixtures.load('dao-ready')
 
-      const referendumsTable = await rpc.get_table_rows({
-        code: referendums,
-        scope: referendums,
-        table: 'referendums',
-        json: true
-      })
-      console.log(JSON.stringify(referendumsTable, null, 4))
+    const phases = require('./examples/phasesConfig.json').main.map(pc => ({ ...pc, durationDays: 1 }))
+    const driver = await ProposalDriver.create({ contracts, phases, chainTime })
 
+    let error = {}
+    try {
+      await contracts.proposals.move(driver.proposalId, { authorization: `${driver.creator}@active` })
+    } catch (err) {
+      error = err
+    }
+    assertError({
+      error,
+      textInside: 'phase is not ready to end',
+      verbose: false
     })
 
+
+    // Act
+    const proposal = await driver.advanceTo('approved')
+
+
+    // Assert
+    expect(proposal.status).to.equal('approved')
+    expect(proposal.phases.every(p => new Date(`${p.end_date}Z`) - new Date(`${p.start_date}Z`) >= 24 * 60 * 60 * 1000)).to.equal(true)
+
   })
 
-})
\ No newline at end of file
+})
@@ -0,0 +1,118 @@
+const eos = require('../scripts/eos')
+const { nameToValue, encodeUint128, encodeIndexKey, queryTable } = require('../scripts/queries')
+const { contractNames } = require('../scripts/config')
+
+const expect = require('chai').expect
+
+describe('Tests for table query keys', function () {
+
+  it('Names are encoded to their uint64 value', function () {
+    expect(nameToValue('eosio')).to.equal(6138663577826885632n)
+  })
+
+  it('Secondary index keys follow the (high << 64) + low layout', function () {
+    expect(encodeUint128(1, 2)).to.equal(((1n << 64n) + 2n).toString())
+    expect(encodeUint128('open', 5, ['name', 'uint64'])).to.equal(((nameToValue('open') << 64n) + 5n).toString())
+  })
+
+  it('Index keys are encoded from the declared key types, not from the value', function () {
+    expect(encodeIndexKey('proposals', 'bystatustype', '12345', 0)).to.equal((nameToValue('12345') << 64n).toString())
+    expect(encodeIndexKey('proposals', 'byprntstat', '12', 'open')).to.equal(((12n << 64n) + nameToValue('open')).toString())
+    expect(encodeIndexKey('proposals', 'byprnttype', 12, '12345')).to.equal(((12n << 64n) + nameToValue('12345')).toString())
+    expect(() => encodeIndexKey('proposals', 'bytype', 'open', 0)).to.throw('Unknown index bytype for table proposals')
+  })
+
+})
+
+// answers get_table_rows like nodeos for rows keyed by id: both bounds are
+// inclusive, at most limit rows per page and next_key is the first row left
+function fakeTable(ids) {
+  const requests = []
+  const getTableRows = async request => {
+    requests.push(request)
+    const { lower_bound, upper_bound, limit, reverse } = request
+    let rows = ids
+      .filter(id => lower_bound === undefined || id >= Number(lower_bound))
+      .filter(id => upper_bound === undefined || id <= Number(upper_bound))
+    if (reverse) {
+      rows = rows.reverse()
+    }
+    const page = rows.slice(0, limit)
+    const more = rows.length > limit
+    return { rows: page.map(id => ({ id })), more, next_key: more ? String(rows[limit]) : '' }
+  }
+  return { requests, getTableRows }
+}
+
+describe('Tests for table queries', function () {
+
+  const { get_table_rows } = eos.rpc
+  const ids = [1, 2, 3, 4, 5, 6, 7]
+  let table
+
+  beforeEach(function () {
+    table = fakeTable(ids)
+    eos.rpc.get_table_rows = table.getTableRows
+  })
+
+  afterEach(function () {
+    eos.rpc.get_table_rows = get_table_rows
+  })
+
+  const pageBounds = () => table.requests.map(({ lower_bound, upper_bound, limit }) => [lower_bound, upper_bound, limit])
+
+  it('Pages are followed through next_key until there are no more rows', async function () {
+    const rows = await queryTable('proposals', { pageSize: 3 })
+
+    expect(rows.map(r => r.id)).to.deep.equal(ids)
+    expect(pageBounds()).to.deep.equal([
+      [undefined, undefined, 3],
+      ['4', undefined, 3],
+      ['7', undefined, 3]
+    ])
+    expect(table.requests[0]).to.include({ code: contractNames.proposals, scope: contractNames.proposals, table: 'proposals', reverse: false })
+  })
+
+  it('Reversed queries move the upper bound and keep the lower one', async function () {
+    const rows = await queryTable('proposals', { reverse: true, lowerBound: 2, pageSize: 2 })
+
+    expect(rows.map(r => r.id)).to.deep.equal([7, 6, 5, 4, 3, 2])
+    expect(pageBounds()).to.deep.equal([
+      [2, undefined, 2],
+      [2, '5', 2],
+      [2, '3', 2]
+    ])
+  })
+
+  it('The limit is spread over the pages and stops the query', async function () {
+    const rows = await queryTable('proposals', { lowerBound: 2, upperBound: 6, limit: 4, pageSize: 3 })
+
+    expect(rows.map(r => r.id)).to.deep.equal([2, 3, 4, 5])
+    expect(pageBounds()).to.deep.equal([
+      [2, 6, 3],
+      ['5', 6, 1]
+    ])
+  })
+
+  it('The last row is found with reverse and a limit of one', async function () {
+    const rows = await queryTable('proposals', { reverse: true, limit: 1 })
+
+    expect(rows).to.deep.equal([{ id: 7 }])
+    expect(table.requests).to.have.lengthOf(1)
+  })
+
+  it('Secondary indexes are queried by position with i128 keys', async function () {
+    await queryTable('proposals', { index: 'bystatustype' })
+
+    expect(table.requests[0]).to.include({ index_position: 3, key_type: 'i128' })
+
+    let error
+    try {
+      await queryTable('proposals', { index: 'bytype' })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('Unknown index bytype for table proposals')
+  })
+
+})
@@ -1,10 +1,10 @@
-const { rpc } = require('../scripts/eos')
+const { getReferendums, getVotes } = require('../scripts/queries')
 const { getContracts, createRandomAccount, Asset } = require('../scripts/eosio-util')
 const { assertError } = require('../scripts/eosio-errors')
-const { contractNames, contracts: configContracts, isLocalNode, sleep } = require('../scripts/config')
-const { ReferendumsFactory, ReferendumConstants } = require('./util/ReferendumsUtil')
-const { TokenUtil } = require('./util/TokenUtil')
-const { EnvironmentUtil } = require('./util/EnvironmentUtil')
+const { contractNames, isLocalNode, sleep } = require('../scripts/config')
+const { ReferendumsFactory, ReferendumConstants, TokenUtil, EnvironmentUtil } = require('../scripts/sdk')
+const { fixtures } = require('./util/Fixtures')
+const { chainTime } = require('./util/ChainTime')
 
 const expect = require('chai').expect
 
@@ -60,21 +60,12 @@ describe('Tests for referendums', async function () {
       process.exit(1)
     }
 
-    await EnvironmentUtil.initNode()
-    await sleep(4000)
-    await EnvironmentUtil.deployContracts(configContracts)
+    await fixtures.load('dao-ready')
 
     contracts = await getContracts([referendums, token])
-
-    await TokenUtil.create({
-      issuer: token,
-      maxSupply: `1000000000000.0000 ${TokenUtil.tokenCode}`,
-      contractAccount: token,
-      contract: contracts.token
-    })
   })
 
-  afterEach(async function () {
+  after(async function () {
     await EnvironmentUtil.killNode()
   })
 
@@ -86,24 +77,19 @@ describe('Tests for referendums', async function () {
     const actionParams = referendum.getActionParams()
 
     // Act
-    await contracts.referendums.create(...actionParams, { authorization: `${referendums}@active` })
+    await contracts.referendums.create(actionParams, { authorization: `${referendums}@active` })
 
     // Assert
-    const referendumTables = await rpc.get_table_rows({
-      code: referendums,
-      scope: referendums,
-      table: 'referendums',
-      json: true
-    })
+    const referendumRows = await getReferendums()
 
 
-    console.log(referendumTables.rows[0].quorum_config)
+    console.log(referendumRows[0].quorum_config)
 
-    expect(referendumTables.rows).to.deep.equals([{
+    expect(referendumRows).to.deep.equals([{
       referendum_id: 1,
       creator: referendum.params.creator,
-      start_date: actionParams[2],
-      end_date: actionParams[3],
+      start_date: actionParams.start_date,
+      end_date: actionParams.end_date,
       quorum_config: [{ start_day: 0, percentage: 5500 }, { start_day: 10, percentage: 2532 }],
       majority_config: [{ start_day: 0, percentage: 8500 }],
       status: ReferendumsFactory.Status().created,
@@ -128,7 +114,7 @@ describe('Tests for referendums', async function () {
 
       // Act
       try {
-        await contracts.referendums.create(...actionParams, { authorization: `${referendums}@active` })
+        await contracts.referendums.create(actionParams, { authorization: `${referendums}@active` })
         fail = false
       } catch (err) {
         fail = true
@@ -151,7 +137,7 @@ describe('Tests for referendums', async function () {
     const referendum = await ReferendumsFactory.createWithDefaults({ startDate: now })
     const actionParams = referendum.getActionParams()
 
-    await contracts.referendums.create(...actionParams, { authorization: `${referendums}@active` })
+    await contracts.referendums.create(actionParams, { authorization: `${referendums}@active` })
 
     await sleep(1000)
 
@@ -159,14 +145,9 @@ describe('Tests for referendums', async function () {
     await contracts.referendums.start(referendum.params.referendumId, { authorization: `${referendum.params.creator}@active` })
 
     // Assert
-    const referendumTables = await rpc.get_table_rows({
-      code: referendums,
-      scope: referendums,
-      table: 'referendums',
-      json: true
-    })
+    const referendumRows = await getReferendums()
 
-    expect(referendumTables.rows[0]).to.include({ status: ReferendumsFactory.Status().started })
+    expect(referendumRows[0]).to.include({ status: ReferendumsFactory.Status().started })
 
   })
 
@@ -185,7 +166,7 @@ describe('Tests for referendums', async function () {
       const referendum = await ReferendumsFactory.createWithDefaults({ startDate: now })
       const actionParams = referendum.getActionParams()
 
-      await contracts.referendums.create(...actionParams, { authorization: `${referendums}@active` })
+      await contracts.referendums.create(actionParams, { authorization: `${referendums}@active` })
       await sleep(1000)
       await contracts.referendums.start(referendum.params.referendumId, { authorization: `${referendum.params.creator}@active` })
 
@@ -199,26 +180,16 @@ describe('Tests for referendums', async function () {
       await contracts.referendums.vote(referendum.params.referendumId, voter, option, { authorization: `${voter}@active` })
 
       // Assert
-      const referendumTables = await rpc.get_table_rows({
-        code: referendums,
-        scope: referendums,
-        table: 'referendums',
-        json: true
-      })
+      const referendumRows = await getReferendums()
 
-      const optionVoteTally = referendumTables.rows[0].vote_tally.filter(vt => vt.key === option)
+      const optionVoteTally = referendumRows[0].vote_tally.filter(vt => vt.key === option)
 
       expect(optionVoteTally).to.not.be.empty
       expect(optionVoteTally[0]).to.deep.equals({ key: option, value: amount.toString() })
 
-      const voteTables = await rpc.get_table_rows({
-        code: referendums,
-        scope: referendum.params.referendumId,
-        table: 'votes',
-        json: true
-      })
+      const voteRows = await getVotes(referendum.params.referendumId)
 
-      expect(voteTables.rows).to.deep.equals([{
+      expect(voteRows).to.deep.equals([{
         voter,
         amount: amount.toString(),
         option,
@@ -248,7 +219,7 @@ describe('Tests for referendums', async function () {
     })
     const actionParams = referendum.getActionParams()
 
-    await contracts.referendums.create(...actionParams, { authorization: `${referendums}@active` })
+    await contracts.referendums.create(actionParams, { authorization: `${referendums}@active` })
     await sleep(1000)
     await contracts.referendums.start(referendum.params.referendumId, { authorization: `${referendum.params.creator}@active` })
 
@@ -274,18 +245,13 @@ describe('Tests for referendums', async function () {
     await contracts.referendums.finish(referendum.params.referendumId, { authorization: `${referendum.params.creator}@active` })
 
     // Assert
-    const referendumTables = await rpc.get_table_rows({
-      code: referendums,
-      scope: referendums,
-      table: 'referendums',
-      json: true
-    })
+    const referendumRows = await getReferendums()
 
-    expect(referendumTables.rows[0]).to.deep.equals({
+    expect(referendumRows[0]).to.deep.equals({
       referendum_id: referendum.params.referendumId,
       creator: referendum.params.creator,
-      start_date: actionParams[2],
-      end_date: actionParams[3],
+      start_date: actionParams.start_date,
+      end_date: actionParams.end_date,
       quorum_config: referendum.params.quorumConfig,
       majority_config: referendum.params.majorityConfig,
       status: ReferendumsFactory.Status().accepted,
@@ -325,7 +291,7 @@ describe('Tests for referendums', async function () {
       })
       const actionParams = referendum.getActionParams()
 
-      await contracts.referendums.create(...actionParams, { authorization: `${referendums}@active` })
+      await contracts.referendums.create(actionParams, { authorization: `${referendums}@active` })
       await sleep(1000)
       await contracts.referendums.start(referendum.params.referendumId, { authorization: `${referendum.params.creator}@active` })
 
@@ -345,14 +311,9 @@ describe('Tests for referendums', async function () {
       await contracts.referendums.finish(referendum.params.referendumId, { authorization: `${referendum.params.creator}@active` })
 
       // Assert
-      const referendumTables = await rpc.get_table_rows({
-        code: referendums,
-        scope: referendums,
-        table: 'referendums',
-        json: true
-      })
+      const referendumRows = await getReferendums()
 
-      expect(referendumTables.rows[0]).to.deep.include({
+      expect(referendumRows[0]).to.deep.include({
         referendum_id: referendum.params.referendumId,
         quorum_config: referendum.params.quorumConfig,
         majority_config: referendum.params.majorityConfig,
@@ -362,5 +323,64 @@ describe('Tests for referendums', async function () {
     })
   })
 
+  it('The creator finishes a referendum after its end date with the majority of that day', async function () {
+
+    // Arrange
+    await fixtures.load('dao-ready')
+
+    const startDate = await chainTime.now()
+    startDate.setSeconds(startDate.getSeconds() + 1)
+
+    const referendum = await ReferendumsFactory.createWithDefaults({
+      startDate,
+      durationInDays: 2,
+      majorityConfig: [{ start_day: 0, percentage: 8500 }, { start_day: 1, percentage: 5500 }]
+    })
+    const { referendumId, creator } = referendum.params
+
+    await contracts.referendums.create(referendum.getActionParams(), { authorization: `${referendums}@active` })
+    await sleep(1500)
+    await contracts.referendums.start(referendumId, { authorization: `${creator}@active` })
+
+    const amounts = [60000, 40000]
+    const votingOrder = [ReferendumConstants.VoteFavour, ReferendumConstants.VoteAgainst]
+
+    for (let i = 0; i < votingOrder.length; i++) {
+      const voter = await createRandomAccount()
+
+      const assetAmount = new Asset(amounts[i], TokenUtil.tokenCode, TokenUtil.tokenPrecision)
+      await TokenUtil.issue({ amount: assetAmount.toString(), issuer: token, contract: contracts.token })
+      await contracts.token.transfer(token, voter, assetAmount.toString(), '', { authorization: `${token}@active` })
+
+      await contracts.referendums.vote(referendumId, voter, votingOrder[i], { authorization: `${voter}@active` })
+    }
+
+    let error = {}
+    try {
+      await contracts.referendums.finish(referendumId, { authorization: `${creator}@active` })
+    } catch (err) {
+      error = err
+    }
+    assertError({
+      error,
+      textInside: 'can not finish referendum, it is too soon',
+      verbose: false
+    })
+
+    await chainTime.advanceDays(2)
+
+    // Act
+    await contracts.referendums.finish(referendumId, { authorization: `${creator}@active` })
+
+    // Assert
+    const referendumRows = await getReferendums()
+
+    // 60% in favour only passes the 55% majority of the second day
+    expect(referendumRows[0]).to.deep.include({
+      referendum_id: referendumId,
+      status: ReferendumsFactory.Status().accepted
+    })
+
+  })
 
 })
@@ -0,0 +1,53 @@
+const { getTransactionSummary, summarizeAction } = require('../scripts/reporter')
+
+const expect = require('chai').expect
+
+const authorization = [{ actor: 'eospropvotes', permission: 'active' }]
+
+describe('Tests for transaction reporting', function () {
+
+  it('Code and abi hex are replaced by their size and hash', function () {
+    const { data } = summarizeAction({
+      account: 'eosio',
+      name: 'setcode',
+      authorization,
+      data: { account: 'eospropvotes', code: '0061736d', vmtype: 0, vmversion: 0 }
+    })
+
+    expect(data.account).to.equal('eospropvotes')
+    expect(data.code).to.match(/^<4 bytes, sha256 [0-9a-f]{64}>$/)
+  })
+
+  it('Summaries include usage, inline actions and console output', function () {
+    const summary = getTransactionSummary({
+      transaction_id: 'abc123',
+      processed: {
+        block_num: 42,
+        block_time: '2021-06-01T00:00:00.000',
+        receipt: { status: 'executed', cpu_usage_us: 350, net_usage_words: 16 },
+        action_traces: [{
+          receiver: 'eospropvotes',
+          console: 'referendum created',
+          act: { account: 'eospropvotes', name: 'create', authorization, data: { referendum_id: 1 } },
+          inline_traces: [{
+            receiver: 'eosmakeprops',
+            console: '',
+            act: { account: 'eosmakeprops', name: 'onreferendum', authorization, data: {} },
+            inline_traces: []
+          }]
+        }]
+      }
+    }, 'create referendum')
+
+    expect(summary.description).to.equal('create referendum')
+    expect(summary.transaction_id).to.equal('abc123')
+    expect(summary.block_num).to.equal(42)
+    expect(summary.cpu_usage_us).to.equal(350)
+    expect(summary.net_usage_words).to.equal(16)
+    expect(summary.actions.map(a => a.name)).to.deep.equal(['create', 'onreferendum'])
+    expect(summary.actions[0].console).to.equal('referendum created')
+    expect(summary.actions[0].authorization).to.equal('eospropvotes@active')
+    expect(summary.actions[1].console).to.be.undefined
+  })
+
+})
@@ -0,0 +1,163 @@
+const { FailoverJsonRpc, getTransactionId } = require('../scripts/rpc')
+const { isTransientError } = require('../scripts/eosio-errors')
+
+const expect = require('chai').expect
+
+const chainId = 'aca376f206b8fc25a6ed44dbdc66547c36c6c33e3a119ffbeaef943642f0e906'
+const packed_trx = 'a1b2c3d4'
+
+const headBlockTime = secondsAgo => new Date(Date.now() - secondsAgo * 1000).toISOString().replace('Z', '')
+
+const chainError = (code, name, message) => ({ status: code, json: { code, error: { name, details: [{ message }] } } })
+
+// fetch stub, handlers map "endpoint path" to a response or a function
+// returning one, a thrown error is a network failure
+function fakeFetch(handlers) {
+  const calls = []
+  const fetch = async (url, { body }) => {
+    const [, endpoint, path] = /^(https?:\/\/[^/]+)(.*)$/.exec(url)
+    calls.push(`${endpoint} ${path}`)
+    let handler = handlers[`${endpoint} ${path}`]
+    if (typeof handler === 'function') {
+      handler = handler(JSON.parse(body))
+    }
+    if (!handler) {
+      throw new Error(`request to ${url} failed, reason: connect ECONNREFUSED`)
+    }
+    const { status = 200, json } = handler
+    return { ok: status < 300, json: async () => json }
+  }
+  return { fetch, calls }
+}
+
+const info = (secondsAgo, chain_id = chainId) => ({ json: { chain_id, head_block_time: headBlockTime(secondsAgo) } })
+
+const createRpc = (endpoints, fetch) => new FailoverJsonRpc(endpoints, { fetch, chainId, backoffMs: 1, log: () => {} })
+
+describe('Tests for the failover rpc', function () {
+
+  it('Lagging endpoints and endpoints of another chain are skipped', async function () {
+    const { fetch, calls } = fakeFetch({
+      'https://a /v1/chain/get_info': info(5, 'ff'.repeat(32)),
+      'https://b /v1/chain/get_info': info(600),
+      'https://c /v1/chain/get_info': info(1),
+      'https://c /v1/chain/get_account': { json: { account_name: 'eosmakeprops' } }
+    })
+    const rpc = createRpc(['https://a', 'https://b', 'https://c'], fetch)
+
+    expect(await rpc.get_account('eosmakeprops')).to.deep.equal({ account_name: 'eosmakeprops' })
+    expect(calls[calls.length - 1]).to.equal('https://c /v1/chain/get_account')
+  })
+
+  it('Transient errors are retried on the next endpoint', async function () {
+    const { fetch, calls } = fakeFetch({
+      'https://a /v1/chain/get_info': info(1),
+      'https://a /v1/chain/get_account': { status: 503, json: { code: 503, message: 'Service Unavailable' } },
+      'https://b /v1/chain/get_info': info(1),
+      'https://b /v1/chain/get_account': { json: { account_name: 'eosmakeprops' } }
+    })
+    const rpc = createRpc(['https://a', 'https://b'], fetch)
+
+    expect(await rpc.get_account('eosmakeprops')).to.deep.equal({ account_name: 'eosmakeprops' })
+    expect(calls.filter(c => c.endsWith('get_account'))).to.deep.equal([
+      'https://a /v1/chain/get_account',
+      'https://b /v1/chain/get_account'
+    ])
+  })
+
+  it('Assertion failures are not retried', async function () {
+    const { fetch, calls } = fakeFetch({
+      'https://a /v1/chain/get_info': info(1),
+      'https://a /v1/chain/push_transaction': chainError(500, 'eosio_assert_message_exception', 'assertion failure with message: proposal not found'),
+      'https://b /v1/chain/get_info': info(1)
+    })
+    const rpc = createRpc(['https://a', 'https://b'], fetch)
+
+    let error
+    try {
+      await rpc.push_transaction({ signatures: [], serializedTransaction: Buffer.from(packed_trx, 'hex') })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('assertion failure with message: proposal not found')
+    expect(calls.filter(c => c.endsWith('push_transaction'))).to.have.lengthOf(1)
+  })
+
+  it('Failed transactions reported in processed.except are not retried', async function () {
+    const { fetch, calls } = fakeFetch({
+      'https://a /v1/chain/get_info': info(1),
+      'https://a /v1/chain/push_transaction': {
+        json: { transaction_id: 'abc', processed: { except: { name: 'eosio_assert_message_exception', message: 'assertion failure' } } }
+      },
+      'https://b /v1/chain/get_info': info(1)
+    })
+    const rpc = createRpc(['https://a', 'https://b'], fetch)
+
+    let error
+    try {
+      await rpc.push_transaction({ signatures: [], serializedTransaction: Buffer.from(packed_trx, 'hex') })
+    } catch (err) {
+      error = err
+    }
+    // eosjs flags every error raised inside JsonRpc.fetch as a fetch error
+    expect(error.isFetchError).to.equal(true)
+    expect(isTransientError(error)).to.equal(false)
+    expect(calls.filter(c => c.endsWith('push_transaction'))).to.have.lengthOf(1)
+  })
+
+  it('Only network errors without a response are transient', function () {
+    expect(isTransientError(Object.assign(new Error('connect ECONNREFUSED'), { isFetchError: true }))).to.equal(true)
+    expect(isTransientError(Object.assign(new Error('timeout'), { isFetchError: true, json: chainError(500, 'deadline_exception').json }))).to.equal(true)
+    expect(isTransientError(Object.assign(new Error('assert'), { isFetchError: true, json: chainError(500, 'eosio_assert_message_exception').json }))).to.equal(false)
+    expect(isTransientError(Object.assign(new Error('unavailable'), { json: { code: 503 } }))).to.equal(true)
+    expect(isTransientError(new Error('unknown contract'))).to.equal(false)
+  })
+
+  it('A transaction accepted before the connection dropped is not sent again', async function () {
+    const id = getTransactionId({ packed_trx })
+    const { fetch, calls } = fakeFetch({
+      'https://a /v1/chain/get_info': info(1),
+      'https://b /v1/chain/get_info': info(1),
+      'https://b /v1/chain/get_transaction_status': body => ({ json: { id: body.id, state: 'IN_BLOCK', block_number: 42 } })
+    })
+    const rpc = createRpc(['https://a', 'https://b'], fetch)
+
+    const result = await rpc.push_transaction({ signatures: [], serializedTransaction: Buffer.from(packed_trx, 'hex') })
+
+    expect(result).to.deep.equal({ transaction_id: id, processed: { block_num: 42 } })
+    expect(calls.filter(c => c.endsWith('push_transaction'))).to.deep.equal(['https://a /v1/chain/push_transaction'])
+  })
+
+  it('A duplicate on resend means the first attempt went through', async function () {
+    let pushes = 0
+    const { fetch } = fakeFetch({
+      'https://a /v1/chain/get_info': info(1),
+      'https://a /v1/chain/push_transaction': () => {
+        pushes++
+        return pushes === 1
+          ? { status: 504, json: { code: 504, message: 'Gateway Timeout' } }
+          : chainError(409, 'tx_duplicate', 'duplicate transaction')
+      }
+    })
+    const rpc = createRpc(['https://a'], fetch)
+
+    const result = await rpc.push_transaction({ signatures: [], serializedTransaction: Buffer.from(packed_trx, 'hex') })
+
+    expect(result.transaction_id).to.equal(getTransactionId({ packed_trx }))
+    expect(pushes).to.equal(2)
+  })
+
+  it('Gives up once the retries are exhausted', async function () {
+    const { fetch } = fakeFetch({})
+    const rpc = createRpc(['https://a'], fetch)
+
+    let error
+    try {
+      await rpc.get_info()
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.equal('None of the endpoints https://a is reachable')
+  })
+
+})
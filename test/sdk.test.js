@@ -0,0 +1,84 @@
+const { ProposalsFactory, ProposalConstants, ReferendumsFactory, ConfigEngineer, ConfigPhasesBuilder, TokenUtil } = require('../scripts/sdk')
+const { profile } = require('../scripts/config')
+
+const expect = require('chai').expect
+
+describe('Tests for the shared sdk', function () {
+
+  it('Proposal action params are variant tuples with phases and special attributes', async function () {
+    const proposal = await ProposalsFactory.createMainWithDefaults({
+      proposalId: 3,
+      creator: 'alice',
+      deadline: '2030-01-01T00:00:00.000',
+      phases: [{ phaseName: 'debate', durationDays: -1, type: 'dialog' }]
+    })
+
+    expect(proposal.getActionParams()).to.deep.equal([
+      { key: 'type', value: ['name', ProposalConstants.TypeMain] },
+      { key: 'creator', value: ['name', 'alice'] },
+      { key: 'title', value: ['string', 'default title'] },
+      { key: 'description', value: ['string', 'default description'] },
+      { key: 'kpi', value: ['string', 'default kpis'] },
+      { key: 'deadline', value: ['time_point', '2030-01-01T00:00:00.000'] },
+      { key: 'parent', value: ['int64', 0] },
+      { key: 'phase_debate_name', value: ['name', 'debate'] },
+      { key: 'phase_debate_duration_days', value: ['int64', -1] },
+      { key: 'phase_debate_type', value: ['name', 'dialog'] },
+      { key: 'budget', value: ['asset', `100.0000 ${TokenUtil.tokenCode}`] },
+      { key: 'proposal_id', value: ['int64', 3] }
+    ])
+  })
+
+  it('Debate proposals carry their days and point to the main proposal', async function () {
+    const proposal = await ProposalsFactory.createShortenDebateWithDefaults({ creator: 'alice' })
+    const params = proposal.getActionParams()
+
+    expect(params).to.deep.include({ key: 'type', value: ['name', ProposalConstants.TypeShortenDebate] })
+    expect(params).to.deep.include({ key: 'parent', value: ['int64', 1] })
+    expect(params).to.deep.include({ key: 'days', value: ['int64', 2] })
+  })
+
+  it('Referendum action params end durationInDays after the start date', async function () {
+    const startDate = new Date('2030-01-01T00:00:00.000Z')
+    const referendum = await ReferendumsFactory.createWithDefaults({ creator: 'alice', startDate, durationInDays: 5 })
+
+    expect(referendum.getActionParams()).to.deep.equal({
+      referendum_id: 1,
+      creator: 'alice',
+      start_date: '2030-01-01T00:00:00.000',
+      end_date: '2030-01-06T00:00:00.000',
+      quorum: `0.0000 ${TokenUtil.tokenCode}`,
+      quorum_config: [{ start_day: 0, percentage: 5500 }, { start_day: 10, percentage: 2532 }],
+      majority_config: [{ start_day: 0, percentage: 8500 }]
+    })
+  })
+
+  it('Referendum statuses are the ones of the contract', function () {
+    expect(ReferendumsFactory.Status().accepted).to.equal('accepted')
+  })
+
+  it('The token of the chain profile is used', function () {
+    expect(`${TokenUtil.tokenPrecision},${TokenUtil.tokenCode}`).to.equal(profile.token.symbol)
+  })
+
+  it('Phases are sent as phase_config and invalid configs are not sent', async function () {
+    const sent = []
+    const contract = { setpconfig: async (...args) => sent.push(args) }
+    const engineer = new ConfigEngineer(new ConfigPhasesBuilder(contract, 'eosmakeprops'))
+
+    await engineer.execute({ config: { changetime: [{ phaseName: 'vote', durationDays: 2, type: 'voting' }] } })
+    expect(sent).to.deep.equal([
+      ['changetime', [{ phase_name: 'vote', duration_days: 2, type: 'voting' }], { authorization: 'eosmakeprops@active' }]
+    ])
+
+    let error
+    try {
+      await engineer.execute({ config: { changetime: [{ phaseName: 'vote', durationDays: 2, type: 'unknown' }] } })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('Invalid phases config, nothing was sent')
+    expect(sent).to.have.lengthOf(1)
+  })
+
+})
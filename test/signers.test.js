@@ -0,0 +1,159 @@
+const fs = require('fs')
+const os = require('os')
+const http = require('http')
+const { join } = require('path')
+const { JsSignatureProvider, PrivateKey, digestFromSerializedData } = require('eosjs/dist/eosjs-jssig')
+
+const {
+  createSignatureProvider, getExpireSeconds, addKeyToKeystore, readKeystore, signRequest, pushSignedRequest,
+  KeosdSignatureProvider, OfflineSignatureRequired
+} = require('../scripts/signers')
+
+const expect = require('chai').expect
+
+const privateKey = '5KQwrPbwdL6PhXujxW37FSSQZ1JiwsST4cqQzDeyXtP79zkvFD3'
+const publicKey = 'PUB_K1_6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5BoDq63'
+const chainId = 'cf057bbfb72640471fd910bcb67639c22df9f92470936cddc1ade0e2f2e7dc4f'
+
+const signArgs = {
+  chainId,
+  requiredKeys: [publicKey],
+  serializedTransaction: Uint8Array.from([1, 2, 3, 4]),
+  serializedContextFreeData: undefined
+}
+
+// keosd stub answering get_public_keys and sign_digest for a single key
+function startKeosdStub() {
+  const calls = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const params = JSON.parse(body)
+      calls.push({ url: req.url, params })
+
+      let result
+      if (req.url === '/v1/wallet/get_public_keys') {
+        result = [publicKey]
+      } else if (req.url === '/v1/wallet/sign_digest') {
+        result = PrivateKey.fromString(privateKey).sign(Buffer.from(params[0], 'hex'), false).toString()
+      } else {
+        res.statusCode = 500
+        result = { error: { name: 'wallet_unlocked_exception', what: 'Already unlocked' } }
+      }
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify(result))
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, calls })))
+}
+
+describe('Tests for signature providers', function () {
+
+  let dir
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(join(os.tmpdir(), 'signers-'))
+  })
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('The default signer uses PRIVATE_KEY', async function () {
+    const provider = createSignatureProvider({ PRIVATE_KEY: privateKey })
+    expect(await provider.getAvailableKeys()).to.deep.equal([publicKey])
+  })
+
+  it('Unknown signers are rejected', function () {
+    expect(() => createSignatureProvider({ SIGNER: 'ledger' })).to.throw('Unknown SIGNER ledger')
+  })
+
+  it('Offline requests expire at the chain maximum, online transactions soon', function () {
+    expect(getExpireSeconds({ SIGNER: 'offline' })).to.equal(3600)
+    expect(getExpireSeconds({ SIGNER: 'keosd' })).to.equal(30)
+    expect(getExpireSeconds({})).to.equal(30)
+  })
+
+  it('Keystore keys are encrypted and unlocked with the passphrase', async function () {
+    const path = join(dir, 'keystore.json')
+    addKeyToKeystore(privateKey, 'correct horse', path)
+
+    const stored = fs.readFileSync(path, 'utf8')
+    expect(stored).to.not.include(privateKey)
+    expect(readKeystore(path).keys.map(k => k.publicKey)).to.deep.equal([publicKey])
+
+    const provider = createSignatureProvider({ SIGNER: 'keystore', KEYSTORE_PATH: path, KEYSTORE_PASSPHRASE: 'correct horse' })
+    const expected = await new JsSignatureProvider([privateKey]).sign(signArgs)
+
+    expect((await provider.sign(signArgs)).signatures).to.deep.equal(expected.signatures)
+  })
+
+  it('A wrong keystore passphrase is reported', async function () {
+    const path = join(dir, 'keystore.json')
+    addKeyToKeystore(privateKey, 'correct horse', path)
+
+    const provider = createSignatureProvider({ SIGNER: 'keystore', KEYSTORE_PATH: path }, { getPassphrase: () => 'battery staple' })
+
+    let error
+    try {
+      await provider.sign(signArgs)
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.include('wrong passphrase')
+  })
+
+  it('keosd signs the transaction digest', async function () {
+    const { server, calls } = await startKeosdStub()
+    const { port } = server.address()
+
+    try {
+      const provider = new KeosdSignatureProvider({ url: `http://127.0.0.1:${port}`, wallet: 'default', password: 'PW5...' })
+
+      expect(await provider.getAvailableKeys()).to.deep.equal([publicKey])
+
+      const { signatures } = await provider.sign(signArgs)
+      const expected = await new JsSignatureProvider([privateKey]).sign(signArgs)
+      const digest = Buffer.from(digestFromSerializedData(chainId, signArgs.serializedTransaction)).toString('hex')
+
+      expect(signatures).to.deep.equal(expected.signatures)
+      expect(calls.map(c => c.url)).to.deep.equal(['/v1/wallet/unlock', '/v1/wallet/get_public_keys', '/v1/wallet/sign_digest'])
+      expect(calls[2].params).to.deep.equal([digest, publicKey])
+    } finally {
+      server.close()
+    }
+  })
+
+  it('Offline requests are saved, signed elsewhere and pushed', async function () {
+    const provider = createSignatureProvider({ SIGNER: 'offline', OFFLINE_KEYS: publicKey, OFFLINE_DIR: dir })
+
+    let error
+    try {
+      await provider.sign(signArgs)
+    } catch (err) {
+      error = err
+    }
+    expect(error).to.be.instanceOf(OfflineSignatureRequired)
+
+    const pushed = []
+    const rpc = { push_transaction: async args => { pushed.push(args); return { transaction_id: 'abc' } } }
+
+    let pushError
+    try {
+      await pushSignedRequest(error.path, rpc)
+    } catch (err) {
+      pushError = err
+    }
+    expect(pushError.message).to.include('has 0 of the 1 signatures')
+
+    const signatures = await signRequest(error.path, new JsSignatureProvider([privateKey]))
+    expect(signatures).to.have.lengthOf(1)
+
+    expect(await pushSignedRequest(error.path, rpc)).to.deep.equal({ transaction_id: 'abc' })
+    expect(pushed[0].signatures).to.deep.equal(signatures)
+    expect(Buffer.from(pushed[0].serializedTransaction)).to.deep.equal(Buffer.from([1, 2, 3, 4]))
+  })
+
+})
@@ -0,0 +1,58 @@
+const { getLocalNode } = require('../../scripts/local-node')
+
+const SECONDS_PER_DAY = 24 * 60 * 60
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// moves the block time of the local node forward so tests can reach phase
+// ends, referendum end dates and the start_day steps of quorum and majority
+// configs. Dates used in actions should come from now(), the chain runs
+// ahead of the wall clock once it was advanced
+class ChainTime {
+
+  constructor(node = getLocalNode()) {
+    this.node = node
+  }
+
+  async now() {
+    const info = await this.node.getInfo()
+    if (!info) {
+      throw new Error(`nodeos is not running at ${this.node.endpoint}`)
+    }
+    return new Date(`${info.head_block_time}Z`)
+  }
+
+  // resolves once a block at least seconds later than the current head exists
+  async advanceSeconds(seconds) {
+    const target = (await this.now()).getTime() + seconds * 1000
+
+    await this.node.advanceTime(seconds)
+
+    const deadline = Date.now() + this.node.readyTimeoutMs
+    let now = await this.now()
+    while (now.getTime() < target) {
+      if (Date.now() > deadline) {
+        throw new Error(`block time is ${now.toISOString()} after advancing ${seconds}s, the clock of nodeos did not move`)
+      }
+      await sleep(this.node.pollIntervalMs)
+      now = await this.now()
+    }
+    return now
+  }
+
+  async advanceDays(days) {
+    return this.advanceSeconds(days * SECONDS_PER_DAY)
+  }
+
+  async advanceTo(date) {
+    const seconds = Math.ceil((date.getTime() - (await this.now()).getTime()) / 1000)
+    return seconds > 0 ? this.advanceSeconds(seconds) : this.now()
+  }
+
+}
+
+const chainTime = new ChainTime()
+
+module.exports = { ChainTime, chainTime, SECONDS_PER_DAY }
@@ -0,0 +1,148 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const { join } = require('path')
+
+const { getContracts } = require('../../scripts/eosio-util')
+const { contractNames, contracts: configContracts, chain } = require('../../scripts/config')
+const { getConfigPaths } = require('../../scripts/contract-config')
+const { getLocalNode } = require('../../scripts/local-node')
+const { EnvironmentUtil, TokenUtil, ConfigPhasesBuilder, ConfigGeneralBuilder, ConfigEngineer } = require('../../scripts/sdk')
+
+const { proposals, token } = contractNames
+
+const dataFile = 'fixture.json'
+
+const root = join(__dirname, '../..')
+const sdkDir = join(root, 'scripts/sdk')
+
+// what the builds depend on besides their own code: the chain profile and its
+// config files, the scripts they call and the compiled contracts
+function fixtureSources() {
+  const { params, phases } = getConfigPaths(chain)
+  return [
+    join(root, `scripts/profiles/${chain}.json`),
+    params,
+    phases,
+    ...fs.readdirSync(sdkDir).sort().map(file => join(sdkDir, file)),
+    join(root, 'scripts/permissions.js'),
+    ...configContracts.flatMap(({ name }) => [join(root, `compiled/${name}.wasm`), join(root, `compiled/${name}.abi`)])
+  ]
+}
+
+// chain states the test suites start from. A fixture is built once on top of
+// its base, saved as a snapshot of the local node and restored afterwards.
+// Snapshots are rebuilt when the fixture itself or one of its sources change
+class Fixtures {
+
+  constructor(node = getLocalNode(), { sources = fixtureSources() } = {}) {
+    this.node = node
+    this.sources = sources
+    this.definitions = {}
+  }
+
+  // build receives the data of the base fixture and may return data, e.g.
+  // funded accounts, that load returns with the restored chain
+  define(name, { base, build }) {
+    this.definitions[name] = { base, build }
+    return this
+  }
+
+  fingerprint(name) {
+    const { base, build } = this.getDefinition(name)
+    const hash = crypto.createHash('sha256')
+
+    hash.update(base ? this.fingerprint(base) : '')
+    hash.update(build.toString())
+
+    for (const file of this.sources) {
+      hash.update(fs.existsSync(file) ? fs.readFileSync(file) : file)
+    }
+
+    return hash.digest('hex').slice(0, 12)
+  }
+
+  getDefinition(name) {
+    const definition = this.definitions[name]
+    if (!definition) {
+      throw new Error(`Unknown fixture ${name}, defined fixtures: ${Object.keys(this.definitions).join(', ') || 'none'}`)
+    }
+    return definition
+  }
+
+  snapshotName(name) {
+    return `fixture-${name}-${this.fingerprint(name)}`
+  }
+
+  async load(name) {
+    const snapshot = this.snapshotName(name)
+
+    if (this.node.hasSnapshot(snapshot)) {
+      // a node kept across suites (LOCAL_NODE=shared) is still at the
+      // snapshot when the previous suite did not change the chain
+      if (!(await this.node.isAtSnapshot(snapshot))) {
+        await this.node.restore(snapshot)
+      }
+      return this.readData(snapshot)
+    }
+
+    const { base, build } = this.getDefinition(name)
+    let baseData = {}
+    if (base) {
+      baseData = await this.load(base)
+    } else {
+      await this.node.reset()
+    }
+    const data = (await build(baseData)) || baseData
+
+    // outdated snapshots of this fixture are not needed anymore
+    for (const old of this.node.listSnapshots().filter(s => s.startsWith(`fixture-${name}-`))) {
+      fs.rmSync(this.node.snapshotPath(old), { recursive: true, force: true })
+    }
+
+    await this.node.snapshot(snapshot)
+    fs.writeFileSync(join(this.node.snapshotPath(snapshot), dataFile), JSON.stringify(data))
+
+    return data
+  }
+
+  readData(snapshot) {
+    const path = join(this.node.snapshotPath(snapshot), dataFile)
+    return fs.existsSync(path) ? JSON.parse(fs.readFileSync(path)) : {}
+  }
+
+}
+
+const fixtures = new Fixtures()
+
+// a new chain with only the eosio account
+fixtures.define('chain', {
+  build: async () => ({})
+})
+
+fixtures.define('contracts', {
+  base: 'chain',
+  build: async () => {
+    await EnvironmentUtil.deployContracts(configContracts)
+    await EnvironmentUtil.updatePermissions()
+  }
+})
+
+// contracts deployed, the token created and the default config and phases set
+fixtures.define('dao-ready', {
+  base: 'contracts',
+  build: async () => {
+    const contracts = await getContracts([proposals, token])
+
+    await TokenUtil.create({
+      issuer: token,
+      maxSupply: `1000000000000.0000 ${TokenUtil.tokenCode}`,
+      contractAccount: token,
+      contract: contracts.token
+    })
+
+    await new ConfigEngineer(new ConfigGeneralBuilder(contracts.proposals, proposals)).execute({})
+    await new ConfigEngineer(new ConfigPhasesBuilder(contracts.proposals, proposals)).execute({})
+  }
+})
+
+module.exports = { Fixtures, fixtures, fixtureSources }
@@ -0,0 +1,217 @@
+const queries = require('../../scripts/queries')
+const { createRandomAccount, Asset } = require('../../scripts/eosio-util')
+const { contractNames } = require('../../scripts/config')
+const { contractConstants } = require('../../scripts/contract-constants')
+const { TransactionBatch } = require('../../scripts/batch')
+const { ProposalsFactory, ProposalConstants } = require('../../scripts/sdk')
+
+const expect = require('chai').expect
+
+const { token, referendums } = contractNames
+const { proposals: proposalNames, referendums: referendumNames } = contractConstants
+
+const factories = {
+  [ProposalConstants.TypeMain]: 'createMainWithDefaults',
+  [ProposalConstants.TypeAmendment]: 'createAmendmentWithDefaults',
+  [ProposalConstants.TypeExtendDebate]: 'createExtendDebateWithDefaults',
+  [ProposalConstants.TypeShortenDebate]: 'createShortenDebateWithDefaults'
+}
+
+const voteOptions = [referendumNames.vote_favour, referendumNames.vote_against, referendumNames.vote_abstain]
+
+// number of voters per option, every voter is funded with an equal share of
+// the quorum of the proposal type unless amount (an asset) is given
+const VoteMixes = {
+  pass: { yes: 2 },
+  reject: { no: 2 },
+  split: { yes: 2, no: 1, abstain: 1 }
+}
+
+const terminalStatuses = [proposalNames.status_accepted, proposalNames.status_rejected]
+
+const isVoteMix = votes => Object.keys(votes).every(key => [...voteOptions, 'amount'].includes(key))
+
+const timePointToDate = timePoint => new Date(`${timePoint}Z`)
+
+// moves a proposal through its phases the way voters and the creator would:
+// voting phases get funded voters and a finished referendum, then the creator
+// calls move. The current_phase is checked after every move.
+// Without chainTime referendums are finished with the authority of the
+// referendums contract, so only phases with -1 duration days can be moved.
+// With chainTime the block time is moved to the end of every phase and the
+// creator finishes the referendums. Funding is sent in one transaction with
+// the create and the votes it pays for
+class ProposalDriver {
+
+  constructor({
+    contracts,
+    proposalId,
+    creator,
+    chainTime,
+    createAccount = createRandomAccount,
+    createBatch = () => new TransactionBatch(),
+    log = () => {}
+  }) {
+    this.contracts = contracts
+    this.proposalId = proposalId
+    this.creator = creator
+    this.chainTime = chainTime
+    this.createAccount = createAccount
+    this.createBatch = createBatch
+    this.log = log
+  }
+
+  // creates a proposal from ProposalsFactory, fields are the ones of its
+  // create*WithDefaults method, the creator is funded with the minstake
+  static async create({ contracts, type = ProposalConstants.TypeMain, chainTime, createAccount, createBatch, log, ...fields }) {
+    if (!factories[type]) {
+      throw new Error(`Unknown proposal type ${type}, expected one of: ${Object.keys(factories).join(', ')}`)
+    }
+    const proposal = await ProposalsFactory[factories[type]](fields)
+    const { creator } = proposal.params
+
+    const driver = new ProposalDriver({ contracts, creator, chainTime, createAccount, createBatch, log })
+    await driver.createBatch()
+      .add(driver.fundActions(creator, await driver.getSetting(type, 'minstake')))
+      .add(contracts.proposals.create.build(proposal.getActionParams(), { authorization: `${creator}@active` }))
+      .send()
+
+    const [created] = await queries.getProposals({ reverse: true, limit: 1 })
+    expect(created && created.creator).to.equal(creator, 'the created proposal was not found')
+    driver.proposalId = created.proposal_id
+
+    await driver.expectPhase(created.phases[0].phase)
+    return driver
+  }
+
+  async getProposal() {
+    const proposal = await queries.getProposal(this.proposalId)
+    if (!proposal) {
+      throw new Error(`Proposal ${this.proposalId} not found`)
+    }
+    return proposal
+  }
+
+  async getSetting(type, setting) {
+    const row = (await queries.getConfig(type)).find(row => row.setting === setting)
+    if (!row) {
+      throw new Error(`${type}.${setting} is not set, load a fixture with the config first`)
+    }
+    return row.value[1]
+  }
+
+  async expectPhase(phase, status = proposalNames.status_open) {
+    const proposal = await this.getProposal()
+    expect(proposal.current_phase).to.equal(phase, `current_phase of proposal ${this.proposalId}`)
+    expect(proposal.status).to.equal(status, `status of proposal ${this.proposalId}`)
+    return proposal
+  }
+
+  fundActions(account, amount) {
+    return [
+      this.contracts.token.issue.build(token, amount, 'issued token', { authorization: `${token}@active` }),
+      this.contracts.token.transfer.build(token, account, amount, 'funds for the proposal driver', { authorization: `${token}@active` })
+    ]
+  }
+
+  async vote(referendumId, mix, quorum) {
+    const voters = voteOptions.reduce((count, option) => count + (mix[option] || 0), 0)
+    if (voters === 0) {
+      return
+    }
+
+    let amount = mix.amount
+    if (!amount) {
+      const total = Asset.from(quorum)
+      const share = (total.amount + BigInt(voters) - 1n) / BigInt(voters)
+      amount = new Asset(share > 0n ? share : 1n, total.code, total.precision).toString()
+    }
+
+    const batch = this.createBatch()
+    for (const option of voteOptions) {
+      for (let i = 0; i < (mix[option] || 0); i++) {
+        const voter = await this.createAccount()
+        batch.add(this.fundActions(voter, amount))
+        batch.add(this.contracts.referendums.vote.build(referendumId, voter, option, { authorization: `${voter}@active` }))
+      }
+    }
+    await batch.send()
+    this.log(`referendum ${referendumId}: ${voteOptions.map(o => `${mix[o] || 0} ${o}`).join(', ')} of ${amount}`)
+  }
+
+  async finishReferendum(referendumId) {
+    if (!this.chainTime) {
+      await this.contracts.referendums.finish(referendumId, { authorization: `${referendums}@active` })
+      return
+    }
+    const referendum = await queries.getReferendum(referendumId)
+    await this.chainTime.advanceTo(timePointToDate(referendum.end_date))
+    await this.contracts.referendums.finish(referendumId, { authorization: `${referendum.creator}@active` })
+  }
+
+  // ends the current phase and starts the next one
+  async step(votes = VoteMixes.pass) {
+    const proposal = await this.getProposal()
+    const position = proposal.phases.findIndex(p => p.phase === proposal.current_phase)
+    if (proposal.status !== proposalNames.status_open || position === -1) {
+      throw new Error(`Proposal ${this.proposalId} is ${proposal.status} and has no phase to end`)
+    }
+    const phase = proposal.phases[position]
+
+    let referendum
+    if (phase.type === proposalNames.phases.type_voting) {
+      const referendumId = proposal.referendumIds[phase.phase]
+      await this.vote(referendumId, votes, await this.getSetting(proposal.type, 'quorum'))
+      await this.finishReferendum(referendumId)
+      referendum = await queries.getReferendum(referendumId)
+    }
+
+    if (this.chainTime && phase.duration_days > 0) {
+      const end = timePointToDate(phase.start_date)
+      end.setUTCDate(end.getUTCDate() + phase.duration_days)
+      await this.chainTime.advanceTo(end)
+    }
+
+    await this.contracts.proposals.move(this.proposalId, { authorization: `${this.creator}@active` })
+
+    const next = proposal.phases[position + 1]
+    if (next && !(referendum && referendum.status === referendumNames.status_rejected)) {
+      return this.expectPhase(next.phase)
+    }
+    const status = referendum && referendum.status === referendumNames.status_rejected
+      ? proposalNames.status_rejected
+      : proposalNames.status_accepted
+    return this.expectPhase(proposalNames.phases.no_phase, status)
+  }
+
+  // target is a phase of the proposal or a terminal status (approved,
+  // rejected). votes is a mix for every voting phase or mixes by phase name,
+  // when the target is rejected the last phase gets VoteMixes.reject by default
+  async advanceTo(target, { votes } = {}) {
+    let proposal = await this.getProposal()
+    const names = proposal.phases.map(p => p.phase)
+
+    if (!terminalStatuses.includes(target) && !names.includes(target)) {
+      throw new Error(`Unknown target ${target} for proposal ${this.proposalId}, expected one of: ${[...names, ...terminalStatuses].join(', ')}`)
+    }
+
+    while (proposal.current_phase !== target && proposal.status !== target) {
+      const position = names.indexOf(proposal.current_phase)
+      if (proposal.status !== proposalNames.status_open || (!terminalStatuses.includes(target) && names.indexOf(target) < position)) {
+        throw new Error(`Proposal ${this.proposalId} can not reach ${target}, it is ${proposal.status} in phase ${proposal.current_phase}`)
+      }
+
+      const last = position === names.length - 1
+      let mix = last && target === proposalNames.status_rejected ? VoteMixes.reject : VoteMixes.pass
+      if (votes) {
+        mix = isVoteMix(votes) ? votes : votes[names[position]] || mix
+      }
+
+      proposal = await this.step(mix)
+    }
+    return proposal
+  }
+
+}
+
+module.exports = { ProposalDriver, VoteMixes }
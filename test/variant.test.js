@@ -0,0 +1,62 @@
+const { encodeVariant, decodeVariant, encodeAttributes, decodeAttributes } = require('../scripts/variant')
+const { decodeProposal } = require('../scripts/queries')
+const { Asset } = require('../scripts/eosio-util')
+
+const expect = require('chai').expect
+
+describe('Tests for variant_value encoding', function () {
+
+  it('JS values are encoded to variant tuples', function () {
+    expect(encodeVariant(3)).to.deep.equals(['int64', 3])
+    expect(encodeVariant(1.5)).to.deep.equals(['float64', 1.5])
+    expect(encodeVariant(true)).to.deep.equals(['bool', true])
+    expect(encodeVariant('title')).to.deep.equals(['string', 'title'])
+    expect(encodeVariant('main', 'name')).to.deep.equals(['name', 'main'])
+    expect(encodeVariant(new Asset(100000, 'BANK', 4))).to.deep.equals(['asset', '10.0000 BANK'])
+    expect(encodeVariant(new Date('2021-05-06T10:00:00.000Z'))).to.deep.equals(['time_point', '2021-05-06T10:00:00.000'])
+  })
+
+  it('int64 values outside the safe integer range are kept as strings', function () {
+    expect(encodeVariant(9223372036854775807n)).to.deep.equals(['int64', '9223372036854775807'])
+    expect(() => encodeVariant('9223372036854775808', 'int64')).to.throw('out of range')
+  })
+
+  it('Invalid values are rejected', function () {
+    expect(() => encodeVariant('Main', 'name')).to.throw('Invalid name')
+    expect(() => encodeVariant('tomorrow', 'time_point')).to.throw('Expected a date')
+    expect(() => encodeVariant(1, 'uint8')).to.throw('Unknown variant type')
+  })
+
+  it('Variant tuples are decoded to JS values', function () {
+    expect(decodeVariant(['int64', '12'])).to.equal(12)
+    expect(decodeVariant(['int64', '9223372036854775807'])).to.equal(9223372036854775807n)
+    expect(decodeVariant(['asset', '10.0000 BANK']).toString()).to.equal('10.0000 BANK')
+    expect(decodeVariant(['time_point', '2021-05-06T10:00:00.000']).toISOString()).to.equal('2021-05-06T10:00:00.000Z')
+  })
+
+  it('Attribute maps round trip', function () {
+    const pairs = encodeAttributes({ days: 3, type: 'main' }, { type: 'name' })
+    expect(pairs).to.deep.equals([
+      { key: 'days', value: ['int64', 3] },
+      { key: 'type', value: ['name', 'main'] }
+    ])
+    expect(decodeAttributes(pairs)).to.deep.equals({ days: 3, type: 'main' })
+  })
+
+  it('Proposal rows expose typed special attributes', function () {
+    const proposal = decodeProposal({
+      proposal_id: 1,
+      current_phase: 'prevote',
+      special_attributes: [
+        { key: 'budget', value: ['asset', '100.0000 BANK'] },
+        { key: 'referendum_id_phase_prevote', value: ['int64', 2] },
+        { key: 'referendum_id_phase_vote', value: ['int64', '3'] }
+      ]
+    })
+
+    expect(proposal.budget.toString()).to.equal('100.0000 BANK')
+    expect(proposal.days).to.be.undefined
+    expect(proposal.referendumIds).to.deep.equals({ prevote: 2, vote: 3 })
+  })
+
+})